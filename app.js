@@ -1,61 +1,1008 @@
 // app.js
+// single-slot keys of earlier versions, moved into the project library on first start
 const STORAGE_KEY = "ahp_state_pages_v1";
+const HISTORY_KEY = "ahp_history_v1";
+const SNAPSHOT_KEY = "ahp_snapshots_v1";
+const SURVEY_KEY = "ahp_survey_response_v1";
 
-const RI = { 1:0, 2:0, 3:0.58, 4:0.90, 5:1.12, 6:1.24, 7:1.32, 8:1.41, 9:1.45, 10:1.49 };
+// random indices up to 15 (Saaty), beyond that Alonso and Lamata's fit of simulated matrices
+const RI = { 1:0, 2:0, 3:0.58, 4:0.90, 5:1.12, 6:1.24, 7:1.32, 8:1.41, 9:1.45, 10:1.49, 11:1.51, 12:1.48, 13:1.56, 14:1.57, 15:1.59 };
+
+function randomIndex(n){
+  return RI[n] ?? (1.7699 * n - 4.3513) / (n - 1);
+}
 
 function defaultState(){
   const st = {
     problem: { name: "Logistics", goal: "Select the best warehouse location" },
-    criteria: ["Transportation cost", "Delivery lead time", "Service reliability"],
+    criteria: [],
     alternatives: ["Location A", "Location B", "Location C"],
     criteriaMatrix: [],
-    altMatrices: [],
-    activeCritIdx: 0
+    nodeMatrices: {},
+    altMatrices: {},
+    activeCritIdx: 0,
+    activeGroupId: null,
+    nextCritId: 1,
+    participants: [],
+    activeParticipant: 0,
+    aggregation: { mode: "judgments", mean: "geometric" },
+    method: "eigenvector",
+    synthesis: "distributive",
+    simulation: defaultSimulation(),
+    scale: defaultScale(),
+    fuzzy: defaultFuzzy(),
+    consistency: defaultConsistency(),
+    survey: null,
+    wizard: defaultWizard(),
+    ratings: defaultRatings(),
+    anp: defaultAnp(),
+    activeLink: 0
   };
+  st.criteria = ["Transportation cost", "Delivery lead time", "Service reliability"].map(name => critNode(st, name));
   initMatrices(st);
+  fitRatings(st);
+  fitAnp(st);
   return st;
 }
 
-function identityMatrix(n){
+// off-diagonal null means the comparison has not been answered yet
+function blankMatrix(n){
   return Array.from({ length: n }, (_, i) =>
-    Array.from({ length: n }, (_, j) => (i === j ? 1 : 1))
+    Array.from({ length: n }, (_, j) => (i === j ? 1 : null))
   );
 }
 
+// criteria tree: each node is { id, name, children }, a node without children is a leaf.
+// nodeMatrices holds one matrix per parent node (over its children),
+// altMatrices one matrix per leaf (over the alternatives), both keyed by node id.
+function critNode(st, name){
+  const id = `c${st.nextCritId}`;
+  st.nextCritId += 1;
+  return { id, name, children: [] };
+}
+
+// keeps generated ids clear of the ones already in the tree
+function syncNextCritId(st){
+  let maxId = 0;
+  walkCriteria(st.criteria, node=>{
+    const m = /^c(\d+)$/.exec(node.id);
+    if(m) maxId = Math.max(maxId, Number(m[1]));
+  });
+  st.nextCritId = Math.max(Number(st.nextCritId) || 1, maxId + 1);
+}
+
+function walkCriteria(nodes, fn, depth=0, parent=null){
+  nodes.forEach((node, i)=>{
+    fn(node, depth, parent, i);
+    walkCriteria(node.children, fn, depth + 1, node);
+  });
+}
+
+function allCriteria(st){
+  const out = [];
+  walkCriteria(st.criteria, node => out.push(node));
+  return out;
+}
+
+function leafCriteria(st){
+  return allCriteria(st).filter(node => node.children.length === 0);
+}
+
+function parentCriteria(st){
+  return allCriteria(st).filter(node => node.children.length > 0);
+}
+
+function findCriterion(st, id){
+  return allCriteria(st).find(node => node.id === id) || null;
+}
+
+function critPath(st, id){
+  const path = [];
+  const visit = (list, trail)=>{
+    list.forEach(node=>{
+      const next = trail.concat(node.name);
+      if(node.id === id) path.push(...next);
+      visit(node.children, next);
+    });
+  };
+  visit(st.criteria, []);
+  return path.join(" › ");
+}
+
+// a group is the goal (id null) or a parent criterion, compared over its children
+function critGroups(st){
+  return [{ id: null, name: "Goal", children: st.criteria }]
+    .concat(parentCriteria(st).map(node => ({ id: node.id, name: node.name, children: node.children })));
+}
+
+// a judgment set is any object holding criteriaMatrix, nodeMatrices and altMatrices:
+// the state itself for a single respondent, or one entry of st.participants
+function groupMatrix(js, id){
+  return id === null ? js.criteriaMatrix : js.nodeMatrices[id];
+}
+
+function setGroupMatrix(js, id, B){
+  if(id === null) js.criteriaMatrix = B;
+  else js.nodeMatrices[id] = B;
+}
+
+function blankJudgments(st){
+  const nA = st.alternatives.length;
+  const js = {
+    criteriaMatrix: blankMatrix(st.criteria.length),
+    nodeMatrices: {},
+    altMatrices: {}
+  };
+  parentCriteria(st).forEach(node=>{ js.nodeMatrices[node.id] = blankMatrix(node.children.length); });
+  leafCriteria(st).forEach(node=>{ js.altMatrices[node.id] = blankMatrix(nA); });
+  return js;
+}
+
+function copyJudgments(js){
+  const copyMap = (m)=> Object.fromEntries(Object.entries(m).map(([k, A]) => [k, cloneMatrix(A)]));
+  return {
+    criteriaMatrix: cloneMatrix(js.criteriaMatrix),
+    nodeMatrices: copyMap(js.nodeMatrices),
+    altMatrices: copyMap(js.altMatrices)
+  };
+}
+
 function initMatrices(st){
-  st.criteriaMatrix = identityMatrix(st.criteria.length);
-  st.altMatrices = st.criteria.map(() => identityMatrix(st.alternatives.length));
+  Object.assign(st, blankJudgments(st));
+  (st.participants || []).forEach(p => Object.assign(p, blankJudgments(st)));
 }
 
-function loadState(){
-  const raw = localStorage.getItem(STORAGE_KEY);
-  if(!raw) return defaultState();
+// shape of the hierarchy, taken before an edit so the judgments can follow the elements
+function critLayout(st){
+  return {
+    groups: new Map(critGroups(st).map(g => [g.id, g.children.map(c => c.id)])),
+    leaves: new Set(leafCriteria(st).map(node => node.id))
+  };
+}
 
-  try{
-    const st = JSON.parse(raw);
+// from[i] is the old index of new element i, -1 for a new element (left unanswered)
+function remapMatrix(A, from){
+  const B = blankMatrix(from.length);
+  from.forEach((a, i)=>{
+    from.forEach((b, j)=>{
+      if(i !== j && a >= 0 && b >= 0) B[i][j] = A[a][b];
+    });
+  });
+  return B;
+}
+
+// rows and columns follow renamed, added, removed and moved elements;
+// altFrom maps the alternatives the same way, identity when omitted
+function reshapeJudgments(st, before, altFrom){
+  const nA = st.alternatives.length;
+  const alts = altFrom || st.alternatives.map((_, i) => i);
+  const sets = [st].concat(st.participants || []);
+  sets.forEach(js=>{
+    const next = { criteriaMatrix: null, nodeMatrices: {}, altMatrices: {} };
+    critGroups(st).forEach(g=>{
+      const old = before.groups.get(g.id);
+      const B = old
+        ? remapMatrix(groupMatrix(js, g.id), g.children.map(c => old.indexOf(c.id)))
+        : blankMatrix(g.children.length);
+      if(g.id === null) next.criteriaMatrix = B;
+      else next.nodeMatrices[g.id] = B;
+    });
+    leafCriteria(st).forEach(leaf=>{
+      next.altMatrices[leaf.id] = before.leaves.has(leaf.id) ? remapMatrix(js.altMatrices[leaf.id], alts) : blankMatrix(nA);
+    });
+    Object.assign(js, next);
+  });
+  reshapeRatings(st, before, alts);
+  reshapeAnp(st, alts);
+}
 
-    if(!st.problem || !Array.isArray(st.criteria) || !Array.isArray(st.alternatives)) return defaultState();
+function judgmentsFit(st, js){
+  const nA = st.alternatives.length;
+  if(!js || !js.nodeMatrices || !js.altMatrices) return false;
+  if(!isSquare(js.criteriaMatrix, st.criteria.length)) return false;
+  if(parentCriteria(st).some(node => !isSquare(js.nodeMatrices[node.id], node.children.length))) return false;
+  return leafCriteria(st).every(node => isSquare(js.altMatrices[node.id], nA));
+}
 
-    if(!Array.isArray(st.criteriaMatrix) || !Array.isArray(st.altMatrices)) initMatrices(st);
+// the judgments being edited on the matrices page
+function judgments(st){
+  const list = st.participants || [];
+  if(!list.length) return st;
+  return list[st.activeParticipant] || list[0];
+}
 
-    if(typeof st.activeCritIdx !== "number") st.activeCritIdx = 0;
-    if(st.activeCritIdx < 0 || st.activeCritIdx >= st.criteria.length) st.activeCritIdx = 0;
+// every matrix of a judgment set, criteria groups first, then alternatives per leaf;
+// in ratings mode the alternatives are rated, not compared
+function judgmentMatrices(st, js){
+  const list = critGroups(st).map(g => ({
+    kind: "group",
+    id: g.id,
+    title: g.id === null ? "Goal" : critPath(st, g.id),
+    labels: g.children.map(c => c.name),
+    A: groupMatrix(js, g.id),
+    set: B => setGroupMatrix(js, g.id, B)
+  }));
+  if(ratingsOn(st)) return list;
+  leafCriteria(st).forEach(leaf=>{
+    list.push({
+      kind: "alt",
+      id: leaf.id,
+      title: critPath(st, leaf.id),
+      labels: st.alternatives,
+      A: js.altMatrices[leaf.id],
+      set: B => { js.altMatrices[leaf.id] = B; }
+    });
+  });
+  return list;
+}
 
-    const nC = st.criteria.length;
-    const nA = st.alternatives.length;
+function isSquare(A, n){
+  return Array.isArray(A) && A.length === n && A.every(r => Array.isArray(r) && r.length === n);
+}
 
-    if(st.criteriaMatrix.length !== nC) initMatrices(st);
-    if(st.altMatrices.length !== nC) initMatrices(st);
-    if(st.altMatrices.some(m => !Array.isArray(m) || m.length !== nA)) initMatrices(st);
+// flat models (criteria as names, altMatrices as an array) become a one-level tree
+function upgradeFlatCriteria(st){
+  if(!st.criteria.every(c => typeof c === "string")) return;
+  const names = st.criteria;
+  const legacy = Array.isArray(st.altMatrices) ? st.altMatrices : [];
+  st.nextCritId = 1;
+  st.criteria = names.map(name => critNode(st, name));
+  st.nodeMatrices = {};
+  st.altMatrices = {};
+  st.criteria.forEach((node, k)=>{ st.altMatrices[node.id] = legacy[k]; });
+}
 
+// storage: projects live in IndexedDB; the open one is cached in memory so loadState and
+// saveState stay synchronous, and writes are queued behind each other
+const DB_NAME = "ahp_tool";
+const DB_VERSION = 1;
+const DB_STORES = ["projects", "states", "history", "snapshots"];
+const ACTIVE_PROJECT_KEY = "ahp_active_project";
+
+// schema of the stored model; MIGRATIONS[k] turns schema k into k + 1
+const SCHEMA_VERSION = 2;
+const MIGRATIONS = {
+  // 1: the single localStorage slot, criteria possibly a flat list of names
+  1: (st)=>{
+    if(Array.isArray(st.criteria)) upgradeFlatCriteria(st);
     return st;
+  }
+};
+
+let library = null;
+let storageQueue = Promise.resolve();
+
+function migrateState(st, schema){
+  if(!st || typeof st !== "object") throw new Error("the stored data is not a model.");
+  if(!Number.isInteger(schema) || schema < 1) throw new Error(`unknown schema version ${schema}.`);
+  if(schema > SCHEMA_VERSION) throw new Error(`it was saved by a newer version of this tool (schema ${schema}).`);
+  for(let v=schema; v<SCHEMA_VERSION; v++) st = MIGRATIONS[v](st);
+  return st;
+}
+
+function idbRequest(req){
+  return new Promise((resolve, reject)=>{
+    req.onsuccess = ()=> resolve(req.result);
+    req.onerror = ()=> reject(req.error);
+  });
+}
+
+function openDatabase(){
+  if(typeof indexedDB === "undefined") return Promise.reject(new Error("this browser has no IndexedDB."));
+  const req = indexedDB.open(DB_NAME, DB_VERSION);
+  req.onupgradeneeded = ()=>{
+    DB_STORES.forEach(name=>{
+      if(!req.result.objectStoreNames.contains(name)) req.result.createObjectStore(name, { keyPath: "id" });
+    });
+  };
+  return idbRequest(req);
+}
+
+function readStore(name, id){
+  const store = library.db.transaction(name).objectStore(name);
+  return idbRequest(id === undefined ? store.getAll() : store.get(id));
+}
+
+// ops: [store, "put" | "delete", value or key]; rejects when the transaction does not complete
+function writeStores(ops){
+  const tx = library.db.transaction(ops.map(op => op[0]).filter((x, i, a) => a.indexOf(x) === i), "readwrite");
+  ops.forEach(([name, op, value]) => tx.objectStore(name)[op](value));
+  const done = new Promise((resolve, reject)=>{
+    const fail = ()=> reject(new Error(tx.error ? tx.error.message : "the browser refused the write"));
+    tx.oncomplete = ()=> resolve();
+    tx.onerror = fail;
+    tx.onabort = ()=>{
+      alert(`Saving failed: ${tx.error ? tx.error.message : "the browser refused the write"}.`);
+      fail();
+    };
+  });
+  // a failed write is reported once and does not hold up the ones after it
+  done.catch(()=>{});
+  storageQueue = storageQueue.then(()=> done).catch(()=>{});
+  return done;
+}
+
+// resolves once every queued write is stored, wait for it before leaving the page
+function whenSaved(){
+  flushHistory();
+  return storageQueue;
+}
+
+function uniqueId(prefix){
+  return `${prefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 8)}`;
+}
+
+function projectRecord(name, schema=SCHEMA_VERSION){
+  const now = new Date().toISOString();
+  return { id: uniqueId("p"), name, created: now, modified: now, schema };
+}
+
+// the model of the single localStorage slot becomes the first project
+function importLegacyStorage(){
+  const raw = localStorage.getItem(STORAGE_KEY);
+  let name = "Project 1";
+  try{
+    name = JSON.parse(raw).problem.name || name;
+  }catch{}
+  const meta = projectRecord(name, raw ? 1 : SCHEMA_VERSION);
+  const readList = (key)=>{
+    try{
+      return JSON.parse(localStorage.getItem(key));
+    }catch{
+      return null;
+    }
+  };
+  const history = readList(HISTORY_KEY);
+  const snapshots = readList(SNAPSHOT_KEY);
+  const ops = [
+    ["projects", "put", meta],
+    ["states", "put", { id: meta.id, state: raw || JSON.stringify(defaultState()) }]
+  ];
+  if(history && Array.isArray(history.undo) && Array.isArray(history.redo)){
+    ops.push(["history", "put", { id: meta.id, undo: history.undo, redo: history.redo }]);
+  }
+  if(Array.isArray(snapshots)) ops.push(["snapshots", "put", { id: meta.id, list: snapshots }]);
+  // the old keys are only cleared once the copy is committed
+  return writeStores(ops).then(()=>{
+    [STORAGE_KEY, HISTORY_KEY, SNAPSHOT_KEY].forEach(key => localStorage.removeItem(key));
+    return [meta];
+  });
+}
+
+function openLibrary(){
+  return openDatabase().then(db=>{
+    library = { db, projects: [], project: null, state: null, history: { undo: [], redo: [] }, snapshots: [], error: null, raw: null };
+    return readStore("projects");
+  }).then(projects=>{
+    return projects.length ? projects : importLegacyStorage();
+  }).then(projects=>{
+    library.projects = projects.sort((a, b) => b.modified.localeCompare(a.modified));
+    const id = localStorage.getItem(ACTIVE_PROJECT_KEY);
+    library.project = projects.find(p => p.id === id) || projects[0];
+    localStorage.setItem(ACTIVE_PROJECT_KEY, library.project.id);
+    return Promise.all(["states", "history", "snapshots"].map(name => readStore(name, library.project.id)));
+  }).then(([rec, history, snapshots])=>{
+    if(history) library.history = { undo: history.undo, redo: history.redo };
+    if(snapshots) library.snapshots = snapshots.list;
+    library.raw = rec ? rec.state : null;
+    try{
+      if(!rec) throw new Error("its stored model is missing.");
+      let obj;
+      try{
+        obj = JSON.parse(rec.state);
+      }catch{
+        throw new Error("its stored model is not valid JSON.");
+      }
+      library.state = JSON.stringify(normalizeState(migrateState(obj, library.project.schema)));
+    }catch(err){
+      library.error = err.message;
+      return;
+    }
+    // migrated models are written back at once
+    if(library.project.schema !== SCHEMA_VERSION) storeProjectState(library.state);
+  });
+}
+
+function storeProjectState(json){
+  const meta = library.project;
+  library.state = json;
+  meta.modified = new Date().toISOString();
+  meta.schema = SCHEMA_VERSION;
+  const label = document.getElementById("proj_modified");
+  if(label) label.textContent = `Last modified ${new Date(meta.modified).toLocaleString()}`;
+  writeStores([
+    ["projects", "put", meta],
+    ["states", "put", { id: meta.id, state: json }]
+  ]);
+}
+
+// a respondent working on a survey keeps answers in localStorage, apart from the projects
+function respondentActive(){
+  const raw = localStorage.getItem(SURVEY_KEY);
+  if(!raw) return false;
+  const st = parseState(raw);
+  if(st && st.respondent) return true;
+  localStorage.removeItem(SURVEY_KEY);
+  return false;
+}
+
+function loadState(){
+  if(respondentActive()) return parseState(localStorage.getItem(SURVEY_KEY));
+  if(!library || library.error) return defaultState();
+  return parseState(library.state) || defaultState();
+}
+
+function parseState(raw){
+  try{
+    return normalizeState(JSON.parse(raw));
   }catch{
-    return defaultState();
+    return null;
+  }
+}
+
+// fills fields added since the model was stored, throws when it is not a model at all
+function normalizeState(st){
+  if(!st || !st.problem || !Array.isArray(st.criteria) || !Array.isArray(st.alternatives)){
+    throw new Error("the stored model has no problem, criteria or alternatives.");
+  }
+  if(!st.criteria.every(c => c && typeof c === "object" && Array.isArray(c.children))){
+    throw new Error("the stored criteria are not a tree.");
   }
+
+  syncNextCritId(st);
+
+  if(!Array.isArray(st.participants)) st.participants = [];
+  if(!st.aggregation) st.aggregation = { mode: "judgments", mean: "geometric" };
+  if(typeof st.activeParticipant !== "number" || !st.participants[st.activeParticipant]) st.activeParticipant = 0;
+  if(!PRIORITY_METHODS[st.method]) st.method = "eigenvector";
+  if(!SYNTHESIS_MODES[st.synthesis]) st.synthesis = "distributive";
+  st.simulation = { ...defaultSimulation(), ...st.simulation };
+  if(!st.scale || !JUDGMENT_SCALES[st.scale.type]) st.scale = defaultScale();
+  if(!validCustomScale(st.scale.custom)) st.scale.custom = SAATY_VALUES.slice();
+  st.fuzzy = { ...defaultFuzzy(), ...st.fuzzy };
+  if(!FUZZY_METHODS[st.fuzzy.method]) st.fuzzy.method = "buckley";
+  st.consistency = { ...defaultConsistency(), ...st.consistency };
+  if(!CONSISTENCY_INDICES[st.consistency.index] || !validThresholds(st.consistency)) st.consistency = defaultConsistency();
+  if(!st.survey || typeof st.survey.id !== "string") st.survey = null;
+  st.wizard = Object.assign(defaultWizard(), st.wizard);
+  if(!WIZARD_ORDERS[st.wizard.order]) st.wizard.order = "optimized";
+  if(!Number.isInteger(st.wizard.step)) st.wizard.step = 0;
+  if(!Number.isInteger(st.wizard.seed)) st.wizard.seed = 1;
+
+  const leaves = leafCriteria(st);
+  if(typeof st.activeCritIdx !== "number") st.activeCritIdx = 0;
+  if(st.activeCritIdx < 0 || st.activeCritIdx >= leaves.length) st.activeCritIdx = 0;
+
+  if(!judgmentsFit(st, st) || st.participants.some(p => !judgmentsFit(st, p))) initMatrices(st);
+  if(st.activeGroupId === undefined || (st.activeGroupId !== null && !st.nodeMatrices[st.activeGroupId])) st.activeGroupId = null;
+  fitRatings(st);
+  fitAnp(st);
+  if(!Number.isInteger(st.activeLink)) st.activeLink = 0;
+
+  return st;
 }
 
 function saveState(st){
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(st));
+  if(st.respondent){
+    localStorage.setItem(SURVEY_KEY, JSON.stringify(st));
+    return;
+  }
+  // nothing is written over a project that failed to open
+  if(!library || library.error) return;
+  const json = JSON.stringify(st);
+  const prev = library.state;
+  if(prev === json) return;
+  if(prev) recordHistory(prev, json);
+  storeProjectState(json);
+}
+
+// import, same shape as btnExport writes
+function validateMatrix(A, n, label, errors){
+  if(!Array.isArray(A) || A.length !== n){
+    errors.push(`${label}: expected ${n} rows.`);
+    return;
+  }
+  for(let i=0;i<n;i++){
+    if(!Array.isArray(A[i]) || A[i].length !== n){
+      errors.push(`${label}: row ${i + 1} must have ${n} values.`);
+      return;
+    }
+  }
+  for(let i=0;i<n;i++){
+    for(let j=0;j<n;j++){
+      const v = A[i][j];
+      if(v === null && i !== j) continue;
+      if(typeof v !== "number" || !Number.isFinite(v) || v <= 0){
+        errors.push(`${label}: entry [${i + 1},${j + 1}] must be a positive number${i === j ? "" : " or null"}.`);
+        return;
+      }
+    }
+  }
+  for(let i=0;i<n;i++){
+    if(Math.abs(A[i][i] - 1) > 1e-6){
+      errors.push(`${label}: diagonal entry [${i + 1},${i + 1}] must be 1.`);
+      return;
+    }
+    for(let j=i+1;j<n;j++){
+      if((A[i][j] === null) !== (A[j][i] === null)){
+        errors.push(`${label}: entries [${i + 1},${j + 1}] and [${j + 1},${i + 1}] must both be answered or both null.`);
+        return;
+      }
+      if(A[i][j] === null) continue;
+      if(Math.abs(A[i][j] * A[j][i] - 1) > 1e-6){
+        errors.push(`${label}: entries [${i + 1},${j + 1}] and [${j + 1},${i + 1}] are not reciprocal.`);
+        return;
+      }
+    }
+  }
+}
+
+function validateCriteriaTree(nodes, label, errors, ids){
+  if(!Array.isArray(nodes)){
+    errors.push(`${label}: expected a list of criteria.`);
+    return;
+  }
+  nodes.forEach((node, k)=>{
+    const where = `${label}[${k}]`;
+    if(!node || typeof node !== "object" || typeof node.id !== "string" || typeof node.name !== "string" || !Array.isArray(node.children)){
+      errors.push(`${where}: expected an object with id, name and children.`);
+      return;
+    }
+    if(ids.has(node.id)) errors.push(`${where}: duplicate id "${node.id}".`);
+    ids.add(node.id);
+    validateCriteriaTree(node.children, `${where}.children`, errors, ids);
+  });
+}
+
+function validateImport(obj){
+  const errors = [];
+  if(!obj || typeof obj !== "object" || Array.isArray(obj)) return ["The file does not contain a JSON object."];
+  if(obj.schema !== undefined && !(Number.isInteger(obj.schema) && obj.schema >= 1 && obj.schema <= SCHEMA_VERSION)){
+    return [`schema: version ${obj.schema} is not supported, this tool reads up to ${SCHEMA_VERSION}.`];
+  }
+
+  const p = obj.problem;
+  if(!p || typeof p !== "object" || typeof p.name !== "string" || typeof p.goal !== "string"){
+    errors.push("problem: expected an object with name and goal strings.");
+  }
+
+  const flat = Array.isArray(obj.criteria) && obj.criteria.every(x => typeof x === "string");
+  const isNameList = (a)=> Array.isArray(a) && a.length >= 2 && a.every(x => typeof x === "string");
+  if(!Array.isArray(obj.criteria) || obj.criteria.length < 2) errors.push("criteria: expected at least 2 criteria.");
+  else if(!flat) validateCriteriaTree(obj.criteria, "criteria", errors, new Set());
+  if(!isNameList(obj.alternatives)) errors.push("alternatives: expected at least 2 names.");
+  if(errors.length) return errors;
+
+  const nA = obj.alternatives.length;
+
+  validateMatrix(obj.criteriaMatrix, obj.criteria.length, "criteriaMatrix", errors);
+
+  if(flat){
+    const nC = obj.criteria.length;
+    if(!Array.isArray(obj.altMatrices) || obj.altMatrices.length !== nC){
+      errors.push(`altMatrices: expected one matrix per criterion (${nC}).`);
+    }else{
+      obj.altMatrices.forEach((A, k)=>{
+        validateMatrix(A, nA, `altMatrices[${k}] (${obj.criteria[k]})`, errors);
+      });
+    }
+    // these refer to criteria by id, which a list of names does not have
+    ["participants", "ratings", "anp"].forEach(key=>{
+      if(obj[key] !== undefined) errors.push(`${key}: needs criteria as a tree with ids.`);
+    });
+  }else{
+    validateJudgments(obj, obj, "", errors);
+    if(obj.ratings !== undefined) validateRatings(obj, errors);
+    if(obj.anp !== undefined) validateAnp(obj, errors);
+  }
+
+  if(obj.method !== undefined && !PRIORITY_METHODS[obj.method]) errors.push(`method: unknown prioritization method "${obj.method}".`);
+  if(obj.synthesis !== undefined && !SYNTHESIS_MODES[obj.synthesis]) errors.push(`synthesis: unknown mode "${obj.synthesis}".`);
+  const cons = obj.consistency;
+  if(cons !== undefined && (!cons || !CONSISTENCY_INDICES[cons.index] || !validThresholds(cons))){
+    errors.push("consistency: unknown index or thresholds that are not positive numbers.");
+  }
+
+  const agg = obj.aggregation;
+  if(agg !== undefined && (!agg || !AGGREGATION_MODES[agg.mode] || !AGGREGATION_MEANS[agg.mean])){
+    errors.push("aggregation: unknown mode or mean.");
+  }
+
+  if(obj.participants !== undefined && !flat){
+    if(!Array.isArray(obj.participants)){
+      errors.push("participants: expected a list.");
+    }else{
+      obj.participants.forEach((p, k)=>{
+        const where = `participants[${k}]`;
+        if(!p || typeof p !== "object" || typeof p.name !== "string"){
+          errors.push(`${where}: expected an object with a name.`);
+          return;
+        }
+        if(p.weight !== undefined && p.weight !== null && !(typeof p.weight === "number" && p.weight > 0)){
+          errors.push(`${where}: weight must be a positive number.`);
+        }
+        validateMatrix(p.criteriaMatrix, obj.criteria.length, `${where}.criteriaMatrix`, errors);
+        validateJudgments(obj, p, `${where}.`, errors);
+      });
+    }
+  }
+
+  return errors;
+}
+
+// nodeMatrices and altMatrices of one judgment set against the criteria tree
+function validateJudgments(obj, js, prefix, errors){
+  const nA = obj.alternatives.length;
+  const nodeMatrices = js.nodeMatrices || {};
+  const altMatrices = js.altMatrices || {};
+  walkCriteria(obj.criteria, node=>{
+    if(node.children.length){
+      validateMatrix(nodeMatrices[node.id], node.children.length, `${prefix}nodeMatrices.${node.id} (${node.name})`, errors);
+    }else{
+      validateMatrix(altMatrices[node.id], nA, `${prefix}altMatrices.${node.id} (${node.name})`, errors);
+    }
+  });
+}
+
+// grade scales and ratings per leaf; leaves without them get the default grades
+function validateRatings(obj, errors){
+  const r = obj.ratings;
+  if(!r || typeof r !== "object" || typeof r.enabled !== "boolean"){
+    errors.push("ratings: expected an object with an enabled flag.");
+    return;
+  }
+  const scales = r.scales || {};
+  const values = r.values || {};
+  walkCriteria(obj.criteria, node=>{
+    if(node.children.length) return;
+    const sc = scales[node.id];
+    const where = `ratings.scales.${node.id} (${node.name})`;
+    if(sc !== undefined){
+      if(!sc || !Array.isArray(sc.grades) || sc.grades.length < 2 || !sc.grades.every(g => typeof g === "string")){
+        errors.push(`${where}: expected at least 2 grade names.`);
+        return;
+      }
+      validateMatrix(sc.matrix, sc.grades.length, `${where}.matrix`, errors);
+    }
+    const v = values[node.id];
+    if(v === undefined) return;
+    const n = sc ? sc.grades.length : DEFAULT_GRADES.length;
+    if(!Array.isArray(v) || v.length !== obj.alternatives.length || !v.every(g => g === null || (Number.isInteger(g) && g >= 0 && g < n))){
+      errors.push(`ratings.values.${node.id} (${node.name}): expected one grade index or null per alternative.`);
+    }
+  });
+}
+
+// dependencies are checked against the nodes when the model is opened, only the shape here
+function validateAnp(obj, errors){
+  const a = obj.anp;
+  if(!a || typeof a !== "object" || typeof a.enabled !== "boolean" || !Array.isArray(a.links)){
+    errors.push("anp: expected an object with an enabled flag and a list of links.");
+    return;
+  }
+  a.links.forEach((l, k)=>{
+    if(!l || typeof l.source !== "string" || !ANP_CLUSTERS.includes(l.cluster) || !Array.isArray(l.nodes)){
+      errors.push(`anp.links[${k}]: expected a source, a cluster and the compared nodes.`);
+      return;
+    }
+    validateMatrix(l.matrix, l.nodes.length, `anp.links[${k}].matrix`, errors);
+  });
+  ANP_CLUSTERS.forEach(c=>{
+    if(a.clusters && a.clusters[c] !== undefined) validateMatrix(a.clusters[c], 2, `anp.clusters.${c}`, errors);
+  });
+}
+
+function importState(obj){
+  const copyTree = (nodes)=> nodes.map(node => ({ id: node.id, name: node.name, children: copyTree(node.children) }));
+  const flat = obj.criteria.every(x => typeof x === "string");
+
+  const st = {
+    problem: { name: obj.problem.name, goal: obj.problem.goal },
+    criteria: flat ? obj.criteria.slice() : copyTree(obj.criteria),
+    alternatives: obj.alternatives.slice(),
+    criteriaMatrix: cloneMatrix(obj.criteriaMatrix),
+    nodeMatrices: {},
+    altMatrices: flat ? obj.altMatrices.map(cloneMatrix) : {},
+    activeCritIdx: 0,
+    activeGroupId: null,
+    nextCritId: 1,
+    participants: [],
+    activeParticipant: 0,
+    aggregation: { mode: "judgments", mean: "geometric" },
+    method: PRIORITY_METHODS[obj.method] ? obj.method : "eigenvector",
+    synthesis: SYNTHESIS_MODES[obj.synthesis] ? obj.synthesis : "distributive",
+    simulation: defaultSimulation(),
+    scale: defaultScale(),
+    fuzzy: defaultFuzzy(),
+    consistency: defaultConsistency(),
+    survey: null,
+    wizard: defaultWizard(),
+    ratings: defaultRatings(),
+    anp: defaultAnp(),
+    activeLink: 0
+  };
+  if(obj.survey && typeof obj.survey.id === "string"){
+    st.survey = { id: obj.survey.id, fingerprint: String(obj.survey.fingerprint || ""), postUrl: String(obj.survey.postUrl || "") };
+  }
+  if(obj.fuzzy && FUZZY_METHODS[obj.fuzzy.method]) st.fuzzy = { enabled: obj.fuzzy.enabled === true, method: obj.fuzzy.method };
+  if(obj.consistency && CONSISTENCY_INDICES[obj.consistency.index] && validThresholds(obj.consistency)){
+    st.consistency = { index: obj.consistency.index, cr: obj.consistency.cr, gci: obj.consistency.gci.slice(), koczkodaj: obj.consistency.koczkodaj };
+  }
+  if(obj.scale && JUDGMENT_SCALES[obj.scale.type]){
+    st.scale.type = obj.scale.type;
+    if(validCustomScale(obj.scale.custom)) st.scale.custom = obj.scale.custom.slice();
+  }
+
+  if(flat){
+    upgradeFlatCriteria(st);
+  }else{
+    walkCriteria(st.criteria, node=>{
+      if(node.children.length) st.nodeMatrices[node.id] = cloneMatrix(obj.nodeMatrices[node.id]);
+      else st.altMatrices[node.id] = cloneMatrix(obj.altMatrices[node.id]);
+    });
+    syncNextCritId(st);
+  }
+
+  (obj.participants || []).forEach(p=>{
+    st.participants.push({ name: p.name, weight: p.weight ?? 1, ...copyJudgments(p) });
+  });
+  if(obj.aggregation) st.aggregation = { mode: obj.aggregation.mode, mean: obj.aggregation.mean };
+  if(obj.ratings) st.ratings = JSON.parse(JSON.stringify(obj.ratings));
+  if(obj.anp) st.anp = JSON.parse(JSON.stringify(obj.anp));
+  fitRatings(st);
+  fitAnp(st);
+  return st;
+}
+
+function readImportFile(file){
+  return file.text().then(text=>{
+    let obj;
+    try{
+      obj = JSON.parse(text);
+    }catch{
+      throw new Error("The file is not valid JSON.");
+    }
+    if(obj && obj.type === SURVEY_TYPE){
+      const errors = validateSurvey(obj);
+      if(errors.length) throw new Error(errors.join("\n"));
+      return respondentState(obj);
+    }
+    if(obj && obj.type === RESPONSE_TYPE) throw new Error("This is a survey response, load it from the Participants panel on the setup page.");
+    const errors = validateImport(obj);
+    if(errors.length) throw new Error(errors.join("\n"));
+    return importState(obj);
+  });
+}
+
+function downloadJSON(obj, filename){
+  downloadBlob(new Blob([JSON.stringify(obj, null, 2)], { type: "application/json" }), filename);
+}
+
+function downloadBlob(blob, filename){
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// survey distribution: the author freezes criteria and alternatives into a survey,
+// respondents answer the matrices only and send back a response file
+const SURVEY_TYPE = "ahp-survey";
+const RESPONSE_TYPE = "ahp-response";
+
+function surveyFingerprint(st){
+  const strip = (nodes)=> nodes.map(n => [n.id, n.name, strip(n.children)]);
+  return JSON.stringify([strip(st.criteria), st.alternatives]);
+}
+
+function surveyDefinition(st){
+  return {
+    type: SURVEY_TYPE,
+    version: 1,
+    id: st.survey.id,
+    postUrl: st.survey.postUrl || "",
+    problem: { name: st.problem.name, goal: st.problem.goal },
+    criteria: st.criteria,
+    alternatives: st.alternatives,
+    scale: st.scale,
+    fuzzy: st.fuzzy,
+    consistency: st.consistency,
+    ratings: ratingsOn(st)
+  };
+}
+
+function validateSurvey(def){
+  const errors = [];
+  if(!def || def.type !== SURVEY_TYPE || typeof def.id !== "string") return ["This is not a survey package."];
+  if(!def.problem || typeof def.problem.name !== "string" || typeof def.problem.goal !== "string"){
+    errors.push("problem: expected an object with name and goal strings.");
+  }
+  if(!Array.isArray(def.criteria) || def.criteria.length < 2) errors.push("criteria: expected at least 2 criteria.");
+  else validateCriteriaTree(def.criteria, "criteria", errors, new Set());
+  if(!Array.isArray(def.alternatives) || def.alternatives.length < 2 || !def.alternatives.every(x => typeof x === "string")){
+    errors.push("alternatives: expected at least 2 names.");
+  }
+  return errors;
+}
+
+function respondentState(def){
+  const copyTree = (nodes)=> nodes.map(node => ({ id: node.id, name: node.name, children: copyTree(node.children) }));
+  const st = defaultState();
+  st.problem = { name: def.problem.name, goal: def.problem.goal };
+  st.criteria = copyTree(def.criteria);
+  st.alternatives = def.alternatives.slice();
+  if(def.scale && JUDGMENT_SCALES[def.scale.type]){
+    st.scale = { type: def.scale.type, custom: validCustomScale(def.scale.custom) ? def.scale.custom.slice() : SAATY_VALUES.slice() };
+  }
+  if(def.fuzzy && FUZZY_METHODS[def.fuzzy.method]) st.fuzzy = { enabled: def.fuzzy.enabled === true, method: def.fuzzy.method };
+  if(def.consistency && CONSISTENCY_INDICES[def.consistency.index] && validThresholds(def.consistency)){
+    st.consistency = { ...def.consistency, gci: def.consistency.gci.slice() };
+  }
+  syncNextCritId(st);
+  initMatrices(st);
+  fitRatings(st);
+  // the author rates the alternatives, respondents compare the criteria only
+  st.ratings.enabled = def.ratings === true;
+  st.respondent = { surveyId: def.id, name: "", postUrl: typeof def.postUrl === "string" ? def.postUrl : "" };
+  // respondents start with one question at a time
+  st.wizard.enabled = true;
+  st.wizard.seed = Math.floor(Math.random() * 1e9) + 1;
+  return st;
+}
+
+function encodeSurvey(def){
+  const bytes = new TextEncoder().encode(JSON.stringify(def));
+  let bin = "";
+  bytes.forEach(b=>{ bin += String.fromCharCode(b); });
+  return btoa(bin).replaceAll("+", "-").replaceAll("/", "_").replace(/=+$/, "");
+}
+
+function decodeSurvey(code){
+  const bin = atob(code.replaceAll("-", "+").replaceAll("_", "/"));
+  const bytes = Uint8Array.from(bin, ch => ch.charCodeAt(0));
+  return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+function surveyLink(st){
+  const url = new URL("matrices.html", location.href);
+  url.search = "";
+  url.hash = "";
+  url.searchParams.set("survey", encodeSurvey(surveyDefinition(st)));
+  return url.toString();
+}
+
+function surveyResponse(st){
+  return {
+    type: RESPONSE_TYPE,
+    version: 1,
+    surveyId: st.respondent.surveyId,
+    fingerprint: surveyFingerprint(st),
+    respondent: st.respondent.name,
+    submittedAt: new Date().toISOString(),
+    criteriaMatrix: st.criteriaMatrix,
+    nodeMatrices: st.nodeMatrices,
+    altMatrices: st.altMatrices
+  };
+}
+
+// a response becomes a participant of the author's study
+function readResponse(obj, st){
+  if(!obj || obj.type !== RESPONSE_TYPE) throw new Error("not a survey response.");
+  if(!st.survey || obj.surveyId !== st.survey.id) throw new Error("it belongs to a different survey.");
+  // files written before responses carried a fingerprint are checked against the survey's
+  if((obj.fingerprint ?? st.survey.fingerprint) !== surveyFingerprint(st)){
+    throw new Error("the criteria or alternatives changed since the survey was created.");
+  }
+  const errors = [];
+  validateMatrix(obj.criteriaMatrix, st.criteria.length, "criteriaMatrix", errors);
+  validateJudgments(st, obj, "", errors);
+  if(errors.length) throw new Error(errors.join("; "));
+  const name = typeof obj.respondent === "string" && obj.respondent.trim() ? obj.respondent.trim() : `Respondent ${st.participants.length + 1}`;
+  return { name, weight: 1, ...copyJudgments(obj) };
+}
+
+function loadResponseFiles(files, st){
+  return Promise.all(Array.from(files).map(file =>
+    file.text().then(text=>{
+      let obj;
+      try{
+        obj = JSON.parse(text);
+      }catch{
+        throw new Error("not valid JSON.");
+      }
+      return readResponse(obj, st);
+    }).then(
+      participant => ({ file: file.name, participant }),
+      err => ({ file: file.name, error: err.message })
+    )
+  ));
+}
+
+function startSurveyFromUrl(){
+  const code = new URLSearchParams(location.search).get("survey");
+  if(!code) return;
+  let def;
+  try{
+    def = decodeSurvey(code);
+  }catch{
+    alert("The survey link is damaged.");
+    return;
+  }
+  const errors = validateSurvey(def);
+  if(errors.length){
+    alert(`The survey link is not valid:\n${errors.join("\n")}`);
+    return;
+  }
+  // keep answers already given to the same survey when the link is opened again
+  const current = parseState(localStorage.getItem(SURVEY_KEY) || "null");
+  if(!current || !current.respondent || current.respondent.surveyId !== def.id){
+    saveState(respondentState(def));
+  }
+  history.replaceState(null, "", location.pathname);
+}
+
+function surveyBannerHTML(st){
+  const sets = judgmentMatrices(st, st);
+  const answered = sets.reduce((a, m) => a + matrixCompletion(m.A).answered, 0);
+  const total = sets.reduce((a, m) => a + matrixCompletion(m.A).total, 0);
+  return `
+    <div class="surveyBanner">
+      <div class="panelTitle" style="margin:0 0 6px;">Survey, ${escapeHtml(st.problem.name)}</div>
+      <div>${escapeHtml(st.problem.goal)}</div>
+      <div style="height:10px"></div>
+      <div class="kv">
+        <input id="resp_name" type="text" placeholder="Your name" value="${escapeHtml(st.respondent.name)}" />
+        <button type="button" class="btn inline" id="resp_finish">${st.respondent.postUrl ? "Finish and send" : "Finish and download"}</button>
+        <button type="button" class="btn inline" id="resp_leave">Leave survey</button>
+      </div>
+      <div style="height:6px"></div>
+      <div class="small muted">Answered ${answered} of ${total} comparisons.</div>
+    </div>
+  `;
+}
+
+function finishSurvey(st){
+  const out = surveyResponse(st);
+  const safe = (st.respondent.name || "respondent").replace(/[^a-z0-9_-]+/gi, "_");
+  const download = ()=> downloadJSON(out, `ahp_response_${safe}.json`);
+
+  if(!st.respondent.postUrl){
+    download();
+    return;
+  }
+  fetch(st.respondent.postUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(out)
+  }).then(r=>{
+    if(!r.ok) throw new Error(`HTTP ${r.status}`);
+    alert("Thank you, your answers have been sent.");
+  }).catch(err=>{
+    alert(`Sending failed (${err.message}), the response file will be downloaded instead.`);
+    download();
+  });
+}
+
+function bindSurveyBanner(st){
+  const name = document.getElementById("resp_name");
+  if(!name) return;
+  name.addEventListener("input", e=>{
+    st.respondent.name = e.target.value;
+    saveState(st);
+  });
+  document.getElementById("resp_finish").addEventListener("click", ()=>{
+    if(!completionGate(st)) return;
+    finishSurvey(st);
+  });
+  document.getElementById("resp_leave").addEventListener("click", ()=>{
+    if(!confirm("Leave the survey? Answers not yet sent will be lost.")) return;
+    localStorage.removeItem(SURVEY_KEY);
+    location.href = "index.html";
+  });
 }
 
 function escapeHtml(s){
@@ -69,7 +1016,11 @@ function escapeHtml(s){
 function setStatus(st){
   const el = document.getElementById("status");
   if(!el) return;
-  el.textContent = `Criteria: ${st.criteria.length}, Alternatives: ${st.alternatives.length}`;
+  const nAll = allCriteria(st).length;
+  const nLeaf = leafCriteria(st).length;
+  const crit = nAll === nLeaf ? `Criteria: ${nAll}` : `Criteria: ${nAll} (${nLeaf} leaves)`;
+  const group = st.participants.length ? `, Participants: ${st.participants.length}` : "";
+  el.textContent = `${crit}, Alternatives: ${st.alternatives.length}${group}`;
 }
 
 function cloneMatrix(A){ return A.map(r => r.slice()); }
@@ -116,28 +1067,567 @@ function powerIterationWeights(A, maxIter=1500, tol=1e-11){
 function consistency(A, lambdaMax){
   const n = A.length;
   const ci = (lambdaMax - n) / (n - 1);
-  const ri = RI[n] ?? 1.49;
+  const ri = randomIndex(n);
   const cr = (ri === 0) ? 0 : (ci / ri);
   return { ci, cr };
 }
 
-function ahpSolve(A){
-  const { weights, lambdaMax } = powerIterationWeights(A);
-  const { ci, cr } = consistency(A, lambdaMax);
-  return { weights, lambdaMax, ci, cr };
-}
-
-function crMessage(cr){
-  if(cr <= 0.10) return { level: "good", title: "Consistenza buona", text: `CR ${cr.toFixed(3)}.` };
-  if(cr <= 0.20) return { level: "mid", title: "Consistenza borderline", text: `CR ${cr.toFixed(3)}.` };
-  return { level: "warn", title: "Consistenza bassa", text: `CR ${cr.toFixed(3)}.` };
+// geometric consistency index (Aguarón and Moreno-Jiménez): mean squared log error of the
+// answered judgments against the geometric mean weights, scaled as for a complete matrix
+function geometricConsistencyIndex(A){
+  const n = A.length;
+  if(n < 3) return 0;
+  const w = incompleteGeometricWeights(A);
+  let sum = 0;
+  let count = 0;
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      if(!isAnswered(A[i][j])) continue;
+      sum += Math.log(A[i][j] * w[j] / w[i]) ** 2;
+      count++;
+    }
+  }
+  return count ? (sum / count) * n / (n - 2) : 0;
 }
 
-function crBadge(cr){
-  const m = crMessage(cr);
-  const cls = m.level === "good" ? "badge good" : (m.level === "mid" ? "badge mid" : "badge warn");
-  return `<span class="${cls}">${escapeHtml(m.title)} ${escapeHtml(m.text)}</span>`;
-}
+// Koczkodaj's index: the worst answered triad, min(|1 - t|, |1 - 1/t|) with t = a_ij a_jk / a_ik
+function koczkodajIndex(A){
+  const n = A.length;
+  let worst = 0;
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      if(!isAnswered(A[i][j])) continue;
+      for(let k=j+1;k<n;k++){
+        if(!isAnswered(A[j][k]) || !isAnswered(A[i][k])) continue;
+        const t = A[i][j] * A[j][k] / A[i][k];
+        worst = Math.max(worst, Math.min(Math.abs(1 - t), Math.abs(1 - 1 / t)));
+      }
+    }
+  }
+  return worst;
+}
+
+// prioritization methods, consistency always comes from the principal eigenvalue
+function normalizeVector(v){
+  const sum = v.reduce((a,b)=>a+b,0);
+  return v.map(x => x / sum);
+}
+
+function geometricMeanWeights(A){
+  if(!isComplete(A)) return incompleteGeometricWeights(A);
+  const n = A.length;
+  return normalizeVector(A.map(row => Math.exp(row.reduce((a,v)=>a + Math.log(v), 0) / n)));
+}
+
+function columnAverageWeights(A){
+  const n = A.length;
+  const colSums = Array.from({ length: n }, (_, j) => A.reduce((a,row)=>a + row[j], 0));
+  return normalizeVector(A.map(row => row.reduce((a,v,j)=>a + v / colSums[j], 0) / n));
+}
+
+// gaussian elimination with partial pivoting
+function solveLinear(M, b){
+  const n = M.length;
+  const A = M.map((row, i) => row.concat(b[i]));
+  for(let c=0;c<n;c++){
+    let p = c;
+    for(let r=c+1;r<n;r++) if(Math.abs(A[r][c]) > Math.abs(A[p][c])) p = r;
+    [A[c], A[p]] = [A[p], A[c]];
+    for(let r=c+1;r<n;r++){
+      const f = A[r][c] / A[c][c];
+      for(let k=c;k<=n;k++) A[r][k] -= f * A[c][k];
+    }
+  }
+  const x = Array(n).fill(0);
+  for(let r=n-1;r>=0;r--){
+    let s = A[r][n];
+    for(let k=r+1;k<n;k++) s -= A[r][k] * x[k];
+    x[r] = s / A[r][r];
+  }
+  return x;
+}
+
+// weighted least squares: min sum (a_ij w_j - w_i)^2 subject to sum w = 1
+function leastSquaresWeights(A){
+  const n = A.length;
+  const M = Array.from({ length: n }, () => Array(n).fill(0));
+  for(let k=0;k<n;k++){
+    let sq = 0;
+    for(let i=0;i<n;i++) sq += A[i][k] * A[i][k];
+    M[k][k] += sq + n;
+    for(let i=0;i<n;i++){
+      M[k][i] -= A[i][k];
+      M[k][i] -= A[k][i];
+    }
+  }
+  // bordered system with the lagrange multiplier, M alone is singular for consistent matrices
+  const K = M.map(row => row.concat(-1));
+  K.push(Array(n).fill(1).concat(0));
+  const b = Array(n).fill(0).concat(1);
+  return normalizeVector(solveLinear(K, b).slice(0, n));
+}
+
+// logarithmic goal programming: min sum over i < j of |ln w_i - ln w_j - ln a_ij|, the
+// least absolute deviations in log space, solved by iteratively reweighted least squares
+// from the row geometric mean
+function goalProgrammingWeights(A){
+  const n = A.length;
+  let x = geometricMeanWeights(A).map(Math.log);
+  for(let it=0; it<200; it++){
+    const M = Array.from({ length: n }, () => Array(n).fill(0));
+    const b = Array(n).fill(0);
+    for(let i=0;i<n;i++){
+      for(let j=i+1;j<n;j++){
+        if(!isAnswered(A[i][j])) continue;
+        const l = Math.log(A[i][j]);
+        const c = 1 / Math.max(Math.abs(x[i] - x[j] - l), 1e-6);
+        M[i][i] += c;
+        M[j][j] += c;
+        M[i][j] -= c;
+        M[j][i] -= c;
+        b[i] += c * l;
+        b[j] -= c * l;
+      }
+    }
+    // the logs are fixed up to a constant, sum x = 0 pins it
+    const K = M.map(row => row.concat(1));
+    K.push(Array(n).fill(1).concat(0));
+    const next = solveLinear(K, b.concat(0)).slice(0, n);
+    const step = Math.max(...next.map((v, i) => Math.abs(v - x[i])));
+    x = next;
+    if(step < 1e-10) break;
+  }
+  return normalizeVector(x.map(Math.exp));
+}
+
+const PRIORITY_METHODS = {
+  eigenvector: { label: "Principal eigenvector", weights: A => powerIterationWeights(A).weights },
+  geometric: { label: "Row geometric mean (LLSM)", weights: geometricMeanWeights },
+  column: { label: "Normalized column average", weights: columnAverageWeights },
+  leastSquares: { label: "Weighted least squares", weights: leastSquaresWeights },
+  goalProgramming: { label: "Logarithmic goal programming (LGP)", weights: goalProgrammingWeights }
+};
+
+// incomplete matrices: Harker's method for the eigenvector (and so for CR),
+// incomplete LLSM for the geometric mean, the other methods run on the matrix
+// completed with the eigenvector ratios
+function ahpSolve(A, method="eigenvector"){
+  const complete = isComplete(A);
+  const eig = powerIterationWeights(complete ? A : harkerMatrix(A));
+  let weights;
+  if(method === "eigenvector") weights = eig.weights;
+  else if(complete || method === "geometric") weights = PRIORITY_METHODS[method].weights(A);
+  else weights = PRIORITY_METHODS[method].weights(completeMatrix(A, eig.weights));
+  const lambdaMax = eig.lambdaMax;
+  const { ci, cr } = consistency(A, lambdaMax);
+  return { weights, lambdaMax, ci, cr, gci: geometricConsistencyIndex(A), koczkodaj: koczkodajIndex(A), method, complete };
+}
+
+// incomplete matrices
+function isAnswered(v){
+  return v !== null && v !== undefined;
+}
+
+function isComplete(A){
+  return A.every(row => row.every(isAnswered));
+}
+
+function harkerMatrix(A){
+  return A.map((row, i)=>{
+    const missing = row.filter(v => !isAnswered(v)).length;
+    return row.map((v, j) => (i === j ? 1 + missing : (isAnswered(v) ? v : 0)));
+  });
+}
+
+function completeMatrix(A, w){
+  return A.map((row, i) => row.map((v, j) => (isAnswered(v) ? v : w[i] / w[j])));
+}
+
+// least squares on the logs of the answered entries: for every i,
+// sum over answered j of (x_i - x_j - ln a_ij) = 0, with sum x = 0
+function incompleteGeometricWeights(A){
+  // disconnected comparisons leave the system singular, fall back to Harker
+  if(!matrixCompletion(A).connected) return powerIterationWeights(harkerMatrix(A)).weights;
+
+  const n = A.length;
+  const K = Array.from({ length: n + 1 }, () => Array(n + 1).fill(0));
+  const b = Array(n + 1).fill(0);
+  for(let i=0;i<n;i++){
+    for(let j=0;j<n;j++){
+      if(i === j || !isAnswered(A[i][j])) continue;
+      K[i][i] += 1;
+      K[i][j] -= 1;
+      b[i] += Math.log(A[i][j]);
+    }
+    K[i][n] = 1;
+    K[n][i] = 1;
+  }
+  const x = solveLinear(K, b).slice(0, n);
+  return normalizeVector(x.map(Math.exp));
+}
+
+// answered share, connectivity, and the pairs that would complete a spanning tree
+// of comparisons (the minimum that determines the weights)
+function matrixCompletion(A){
+  const n = A.length;
+  const parent = Array.from({ length: n }, (_, i) => i);
+  const find = (x)=>{
+    while(parent[x] !== x) x = parent[x] = parent[parent[x]];
+    return x;
+  };
+
+  let answered = 0;
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      if(!isAnswered(A[i][j])) continue;
+      answered += 1;
+      const ri = find(i);
+      const rj = find(j);
+      if(ri !== rj) parent[ri] = rj;
+    }
+  }
+
+  const needed = [];
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      const ri = find(i);
+      const rj = find(j);
+      if(ri !== rj){
+        parent[ri] = rj;
+        needed.push([i, j]);
+      }
+    }
+  }
+
+  const total = n * (n - 1) / 2;
+  return {
+    answered,
+    total,
+    percent: total ? (100 * answered / total) : 100,
+    minimum: Math.max(0, n - 1),
+    connected: needed.length === 0,
+    needed
+  };
+}
+
+// inconsistency diagnosis
+const CR_TARGET = 0.10;
+
+// the index that judges a matrix and its acceptable level; GCI thresholds depend on n
+// (n = 3, n = 4, n >= 5) and match CR 0.10; a matrix is borderline up to twice the threshold
+const CONSISTENCY_INDICES = {
+  cr: { label: "Saaty consistency ratio (CR)", short: "CR" },
+  gci: { label: "Geometric consistency index (GCI)", short: "GCI" },
+  koczkodaj: { label: "Koczkodaj's inconsistency index", short: "K" }
+};
+
+function defaultConsistency(){
+  return { index: "cr", cr: CR_TARGET, gci: [0.31, 0.35, 0.37], koczkodaj: 0.33 };
+}
+
+function validThresholds(c){
+  const positive = (x)=> typeof x === "number" && Number.isFinite(x) && x > 0;
+  return !!c && positive(c.cr) && positive(c.koczkodaj) && Array.isArray(c.gci) && c.gci.length === 3 && c.gci.every(positive);
+}
+
+function consistencyThreshold(cfg, n){
+  if(cfg.index === "gci") return cfg.gci[clamp(n - 3, 0, 2)];
+  return cfg[cfg.index];
+}
+
+function consistencyValue(r, cfg){
+  return r[cfg.index] ?? 0;
+}
+
+// a rating solve carries the alternatives' priorities, its matrix is the one of the grades
+function solveSize(r){
+  return (r.grades || r.weights).length;
+}
+
+function isConsistent(r, cfg){
+  return consistencyValue(r, cfg) <= consistencyThreshold(cfg, solveSize(r));
+}
+
+// most inconsistent pairs by |a_ij w_j / w_i - 1|, worst triads by Koczkodaj's index,
+// and for each flagged pair the slider value closest to the current one that brings the
+// chosen index under its threshold
+function diagnoseMatrix(A, method, scale=SAATY_VALUES, limit=3, cfg=defaultConsistency()){
+  const n = A.length;
+  const base = ahpSolve(A, method);
+  const w = base.weights;
+
+  const pairs = [];
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      if(!isAnswered(A[i][j])) continue;
+      const ratio = A[i][j] * w[j] / w[i];
+      pairs.push({ i, j, error: Math.max(Math.abs(ratio - 1), Math.abs(1 / ratio - 1)), implied: w[i] / w[j] });
+    }
+  }
+  pairs.sort((a,b)=>b.error-a.error);
+
+  const triads = [];
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      for(let k=j+1;k<n;k++){
+        if(!isAnswered(A[i][j]) || !isAnswered(A[j][k]) || !isAnswered(A[i][k])) continue;
+        const t = A[i][j] * A[j][k] / A[i][k];
+        triads.push({ i, j, k, index: Math.min(Math.abs(1 - t), Math.abs(1 - 1 / t)) });
+      }
+    }
+  }
+  triads.sort((a,b)=>b.index-a.index);
+
+  const top = pairs.slice(0, limit).map(p=>{
+    const current = sliderFromJudgment(A[p.i][p.j], scale);
+    let best = null;
+    SLIDER_VALUES.forEach(v=>{
+      if(v === current) return;
+      const value = judgmentFromSlider(v, scale);
+      const r = ahpSolve(setPairwise(A, p.i, p.j, value), method);
+      const cr = consistencyValue(r, cfg);
+      const dist = Math.abs(Math.log(value) - Math.log(A[p.i][p.j]));
+      const ok = isConsistent(r, cfg);
+      // prefer values that reach the target, then the smallest change, otherwise the lowest index
+      if(!best
+        || (ok && !best.ok)
+        || (ok && best.ok && dist < best.dist)
+        || (!ok && !best.ok && cr < best.cr)){
+        best = { slider: v, value, cr, ok, dist };
+      }
+    });
+    return { ...p, slider: current, suggest: best };
+  });
+
+  return { cr: consistencyValue(base, cfg), ok: isConsistent(base, cfg), pairs: top, triads: triads.slice(0, limit) };
+}
+
+function diagnosisHTML(labels, A, method, scale=SAATY_VALUES, cfg=defaultConsistency()){
+  if(A.length < 3) return "";
+  const diag = diagnoseMatrix(A, method, scale, 3, cfg);
+  if(diag.ok) return "";
+
+  const pairItems = diag.pairs.map(p=>{
+    const s = p.suggest;
+    return `
+      <div class="diagRow">
+        <div>
+          <b>${escapeHtml(labels[p.i])}</b> vs <b>${escapeHtml(labels[p.j])}</b>:
+          judged ${sliderLabel(p.slider, scale)}, weights imply ${sliderLabel(sliderFromJudgment(p.implied, scale), scale)} (deviation ${p.error.toFixed(2)})
+        </div>
+        <button type="button" class="btn inline diagApply" data-i="${p.i}" data-j="${p.j}" data-v="${s.slider}">
+          Set ${sliderLabel(s.slider, scale)}, ${CONSISTENCY_INDICES[cfg.index].short} ${s.cr.toFixed(3)}${s.ok ? "" : " (still high)"}
+        </button>
+      </div>
+    `;
+  }).join("");
+
+  const triadItems = diag.triads.map(t=>
+    `<li>${escapeHtml(labels[t.i])} → ${escapeHtml(labels[t.j])} → ${escapeHtml(labels[t.k])}, index ${t.index.toFixed(2)}</li>`
+  ).join("");
+
+  return `
+    <div class="diagBox">
+      <div class="panelTitle" style="margin:0 0 8px;">Most inconsistent judgments</div>
+      ${pairItems}
+      <div class="small muted">Worst triads i → j → k:</div>
+      <ul class="small muted diagTriads">${triadItems}</ul>
+    </div>
+  `;
+}
+
+function bindDiagnosis(rootEl, A, onUpdate, scale=SAATY_VALUES){
+  rootEl.querySelectorAll(".diagApply").forEach(btn=>{
+    btn.addEventListener("click", ()=>{
+      const i = Number(btn.dataset.i);
+      const j = Number(btn.dataset.j);
+      const v = Number(btn.dataset.v);
+      onUpdate(setPairwise(A, i, j, judgmentFromSlider(v, scale)));
+    });
+  });
+}
+
+// whole-matrix repair: each step moves one of the most deviating judgments to the scale
+// value nearest the ratio the weights imply, keeping the candidate that lowers the chosen
+// index the most, until it is under its threshold; a judgment moved twice counts as one change
+function repairMatrix(A, method, scale=SAATY_VALUES, cfg=defaultConsistency(), width=3){
+  const n = A.length;
+  const target = consistencyThreshold(cfg, n);
+  const index = (x)=> consistencyValue(x, cfg);
+  let P = cloneMatrix(A);
+  let r = ahpSolve(P, method);
+  for(let step=0;step<n*n && index(r) > target;step++){
+    const w = r.weights;
+    const pairs = [];
+    for(let i=0;i<n;i++){
+      for(let j=i+1;j<n;j++){
+        if(!isAnswered(P[i][j])) continue;
+        const ratio = P[i][j] * w[j] / w[i];
+        pairs.push({ i, j, error: Math.max(ratio, 1 / ratio), implied: w[i] / w[j] });
+      }
+    }
+    pairs.sort((a,b)=>b.error-a.error);
+
+    let best = null;
+    pairs.slice(0, width).forEach(p=>{
+      const value = judgmentFromSlider(sliderFromJudgment(p.implied, scale), scale);
+      if(Math.abs(Math.log(value / P[p.i][p.j])) < 1e-9) return;
+      const B = setPairwise(P, p.i, p.j, value);
+      const s = ahpSolve(B, method);
+      if(!best || index(s) < index(best.r)) best = { B, r: s };
+    });
+    if(!best || index(best.r) >= index(r)) break;
+    P = best.B;
+    r = best.r;
+  }
+
+  let changes = [];
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      if(isAnswered(A[i][j]) && Math.abs(Math.log(P[i][j] / A[i][j])) > 1e-9) changes.push({ i, j, from: A[i][j], to: P[i][j] });
+    }
+  }
+
+  // early steps may have become unnecessary: give back every change the target can spare
+  if(index(r) <= target){
+    changes.slice().forEach(c=>{
+      const B = setPairwise(P, c.i, c.j, c.from);
+      const s = ahpSolve(B, method);
+      if(index(s) > target) return;
+      P = B;
+      r = s;
+      changes = changes.filter(x => x !== c);
+    });
+  }
+  return { changes, value: index(r), ok: index(r) <= target };
+}
+
+// the original with the accepted changes only
+function applyRepair(A, changes, accepted){
+  let B = A;
+  changes.forEach((c, k)=>{
+    if(accepted.has(k)) B = setPairwise(B, c.i, c.j, c.to);
+  });
+  return B;
+}
+
+// the open proposal, kept while its matrix is unchanged
+let repairView = null;
+
+function repairHTML(id, key, labels, A, st){
+  const cfg = st.consistency;
+  const short = CONSISTENCY_INDICES[cfg.index].short;
+  const target = consistencyThreshold(cfg, A.length);
+  const cur = ahpSolve(A, st.method);
+  const view = repairView && repairView.key === key && repairView.base === JSON.stringify(A) ? repairView : null;
+  if(!view){
+    const needed = A.length >= 3 && !isConsistent(cur, cfg);
+    return `<button type="button" class="btn inline repairOpen"${needed ? "" : ` disabled title="${short} is within ${target.toFixed(2)}"`}>Repair matrix</button>`;
+  }
+
+  const B = applyRepair(A, view.changes, view.accepted);
+  return `
+    <div class="repairBox">
+      <div class="panelTitle" style="margin:0 0 6px;">Proposed repair</div>
+      <div class="small muted">
+        ${view.changes.length ? `${view.changes.length} of ${matrixCompletion(A).answered} judgments changed${view.ok ? "" : `, the target ${short} ${target.toFixed(2)} is not reachable by single changes`}. Untick a change to keep your judgment.` : `No single change lowers the ${short}.`}
+      </div>
+      <div style="height:8px"></div>
+      <span class="badge">Current ${short} ${consistencyValue(cur, cfg).toFixed(3)}</span>
+      <span class="repairCR">${crBadge(ahpSolve(B, st.method), cfg)}</span>
+      <div style="height:8px"></div>
+      <div class="repairLayout">
+        ${matrixHeatmap(`${id}_before`, "Current matrix")}
+        ${matrixHeatmap(`${id}_after`, "Proposed matrix, changes outlined")}
+      </div>
+      <table>
+        <thead><tr><th>Accept</th><th>Pair</th><th>Current</th><th>Proposed</th></tr></thead>
+        <tbody>
+          ${view.changes.map((c, k)=>`
+            <tr>
+              <td><input type="checkbox" data-k="${k}"${view.accepted.has(k) ? " checked" : ""} /></td>
+              <td>${escapeHtml(labels[c.i])} vs ${escapeHtml(labels[c.j])}</td>
+              <td>${formatJudgment(c.from)}</td>
+              <td class="changed">${formatJudgment(c.to)}</td>
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+      <div class="kv" style="margin-top:8px;">
+        <button type="button" class="btn inline repairApply"${view.changes.length ? "" : " disabled"}>Apply accepted changes</button>
+        <button type="button" class="btn inline repairDiscard">Discard</button>
+      </div>
+    </div>
+  `;
+}
+
+function bindRepair(rootEl, key, labels, A, st, onUpdate){
+  const method = st.method;
+  const render = ()=>{
+    rootEl.innerHTML = repairHTML(rootEl.id, key, labels, A, st);
+    bindRepair(rootEl, key, labels, A, st, onUpdate);
+  };
+
+  const open = rootEl.querySelector(".repairOpen");
+  if(open){
+    open.addEventListener("click", ()=>{
+      const out = repairMatrix(A, method, scaleValues(st), st.consistency);
+      repairView = { key, base: JSON.stringify(A), ...out, accepted: new Set(out.changes.map((_, k) => k)) };
+      render();
+    });
+    return;
+  }
+
+  const view = repairView;
+  const draw = ()=>{
+    const B = applyRepair(A, view.changes, view.accepted);
+    const marked = view.changes.filter((_, k) => view.accepted.has(k)).map(c => [c.i, c.j]);
+    drawMatrixHeatmap(`${rootEl.id}_after`, labels, B, marked);
+    rootEl.querySelector(".repairCR").innerHTML = crBadge(ahpSolve(B, method), st.consistency);
+  };
+
+  rootEl.querySelectorAll("input[data-k]").forEach(box=>{
+    box.addEventListener("change", ()=>{
+      const k = Number(box.dataset.k);
+      if(box.checked) view.accepted.add(k);
+      else view.accepted.delete(k);
+      draw();
+    });
+  });
+
+  rootEl.querySelector(".repairApply").addEventListener("click", ()=>{
+    const B = applyRepair(A, view.changes, view.accepted);
+    repairView = null;
+    onUpdate(B);
+  });
+
+  rootEl.querySelector(".repairDiscard").addEventListener("click", ()=>{
+    repairView = null;
+    render();
+  });
+
+  setTimeout(()=>{
+    drawMatrixHeatmap(`${rootEl.id}_before`, labels, A);
+    draw();
+  }, 0);
+}
+
+// r: an ahpSolve result, judged by the index chosen in cfg; the other indices follow it
+function crMessage(r, cfg=defaultConsistency()){
+  const v = consistencyValue(r, cfg);
+  const t = consistencyThreshold(cfg, solveSize(r));
+  const others = Object.keys(CONSISTENCY_INDICES).filter(k => k !== cfg.index).map(k => `${CONSISTENCY_INDICES[k].short} ${consistencyValue(r, { ...cfg, index: k }).toFixed(3)}`);
+  const text = `${CONSISTENCY_INDICES[cfg.index].short} ${v.toFixed(3)} (${others.join(", ")}).`;
+  if(v <= t) return { level: "good", title: "Consistenza buona", text };
+  if(v <= 2 * t) return { level: "mid", title: "Consistenza borderline", text };
+  return { level: "warn", title: "Consistenza bassa", text };
+}
+
+function crBadge(r, cfg=defaultConsistency()){
+  const m = crMessage(r, cfg);
+  const cls = m.level === "good" ? "badge good" : (m.level === "mid" ? "badge mid" : "badge warn");
+  return `<span class="${cls}">${escapeHtml(m.title)} ${escapeHtml(m.text)}</span>`;
+}
 
 // heatmap
 function clamp(x,a,b){ return Math.max(a, Math.min(b, x)); }
@@ -169,7 +1659,17 @@ function matrixHeatmap(canvasId, title){
   `;
 }
 
-function drawMatrixHeatmap(canvasId, labels, A){
+// label margins and cell size, shared by drawing and clicks
+function heatmapGeometry(c, n){
+  const pad = 16;
+  const top = 62;
+  const left = 170;
+  const cell = Math.floor(Math.min(c.width - left - pad, c.height - top - pad) / n);
+  return { top, left, cell };
+}
+
+// marked: [i, j] pairs outlined in both triangles
+function drawMatrixHeatmap(canvasId, labels, A, marked=[]){
   const c = document.getElementById(canvasId);
   if(!c) return;
   const ctx = c.getContext("2d");
@@ -179,17 +1679,12 @@ function drawMatrixHeatmap(canvasId, labels, A){
   const H = c.height;
   ctx.clearRect(0,0,W,H);
 
-  const pad = 16;
-  const top = 62;
-  const left = 170;
-
-  const sizeW = W - left - pad;
-  const sizeH = H - top - pad;
-  const cell = Math.floor(Math.min(sizeW, sizeH) / n);
+  const { top, left, cell } = heatmapGeometry(c, n);
 
   let maxAbs = 0.0;
   for(let i=0;i<n;i++){
     for(let j=0;j<n;j++){
+      if(!isAnswered(A[i][j])) continue;
       const v = Number(A[i][j]);
       if(!Number.isFinite(v) || v <= 0) continue;
       maxAbs = Math.max(maxAbs, Math.abs(Math.log(v)));
@@ -228,8 +1723,8 @@ function drawMatrixHeatmap(canvasId, labels, A){
       const x = left + j*cell;
       const y = top + i*cell;
 
-      let col = white;
-      if(Number.isFinite(v) && v > 0){
+      let col = isAnswered(A[i][j]) ? white : [241, 245, 249];
+      if(isAnswered(A[i][j]) && Number.isFinite(v) && v > 0){
         const t = clamp(Math.log(v) / maxAbs, -1, 1);
         if(t < 0) col = mixColor(white, blue, Math.abs(t));
         if(t > 0) col = mixColor(white, red, Math.abs(t));
@@ -243,9 +1738,33 @@ function drawMatrixHeatmap(canvasId, labels, A){
 
       ctx.fillStyle = "rgba(15,23,42,0.86)";
       ctx.font = "11px system-ui";
-      ctx.fillText(Number.isFinite(v) ? v.toFixed(2) : "", x + cell/2, y + cell/2);
+      ctx.fillText(isAnswered(A[i][j]) && Number.isFinite(v) ? v.toFixed(2) : "–", x + cell/2, y + cell/2);
     }
   }
+
+  ctx.strokeStyle = "#2563eb";
+  ctx.lineWidth = 3;
+  marked.forEach(([i, j])=>{
+    ctx.strokeRect(left + j*cell + 1.5, top + i*cell + 1.5, cell - 3, cell - 3);
+    ctx.strokeRect(left + i*cell + 1.5, top + j*cell + 1.5, cell - 3, cell - 3);
+  });
+  ctx.lineWidth = 1;
+}
+
+// onCell(i, j) for a click on a cell, the canvas may be scaled by CSS
+function bindHeatmapCells(canvasId, n, onCell){
+  const c = document.getElementById(canvasId);
+  if(!c) return;
+  c.style.cursor = "pointer";
+  c.addEventListener("click", (e)=>{
+    const rect = c.getBoundingClientRect();
+    const x = (e.clientX - rect.left) * c.width / (rect.width || c.width);
+    const y = (e.clientY - rect.top) * c.height / (rect.height || c.height);
+    const g = heatmapGeometry(c, n);
+    const i = Math.floor((y - g.top) / g.cell);
+    const j = Math.floor((x - g.left) / g.cell);
+    if(i >= 0 && i < n && j >= 0 && j < n) onCell(i, j);
+  });
 }
 
 // charts
@@ -301,125 +1820,599 @@ function drawBarChart(canvasId, title, items){
   });
 }
 
-// pairwise, scoped binding per container
-function pairwiseHTML(labels, A){
-  const n = labels.length;
-  let html = "";
+// judgment scales: the value each intensity 1..9 maps to
+const JUDGMENT_SCALES = {
+  saaty: { label: "Saaty linear 1–9", value: x => x },
+  balanced: { label: "Balanced", value: x => { const w = 0.5 + 0.05 * (x - 1); return w / (1 - w); } },
+  power: { label: "Power (x²)", value: x => x * x },
+  geometric: { label: "Geometric (2^((x-1)/2))", value: x => Math.pow(2, (x - 1) / 2) },
+  maZheng: { label: "Ma-Zheng (9/(10-x))", value: x => 9 / (10 - x) },
+  custom: { label: "Custom", value: null }
+};
 
-  for(let i=0;i<n;i++){
-    for(let j=i+1;j<n;j++){
-      const aij = A[i][j];
-
-      // encode current matrix value into slider value:
-      // aij >= 1  -> 1..9
-      // aij < 1   -> -9..-2 (no -1)
-      let v;
-      if(aij >= 1){
-        v = Math.round(aij);
-        v = Math.max(1, Math.min(9, v));
-      }else{
-        v = -Math.round(1 / aij);
-        v = Math.max(-9, Math.min(-2, v));
-      }
+const INTENSITY_LABELS = { 1: "equal", 3: "moderate", 5: "strong", 7: "major", 9: "extreme" };
 
-      let direction;
-      if(v === 1){
-        direction = "Equivalent";
-      }else if(v > 1){
-        direction = "Left preferred";
-      }else{
-        direction = "Right preferred";
-      }
+const SAATY_VALUES = [1, 2, 3, 4, 5, 6, 7, 8, 9];
 
-      html += `
-        <div class="pairRow" data-i="${i}" data-j="${j}">
-          <div>${escapeHtml(labels[i])}</div>
-          <div class="pairMid">
-            <input type="range" class="rng" min="-9" max="9" step="1" value="${v}" />
-            <div class="valBox">${v}</div>
-            <div class="dirBox">${direction}</div>
-          </div>
-          <div style="text-align:right">${escapeHtml(labels[j])}</div>
-        </div>
-      `;
-    }
-  }
+function defaultScale(){
+  return { type: "saaty", custom: SAATY_VALUES.slice() };
+}
 
-  return html;
+// custom values must start at 1 and strictly increase
+function validCustomScale(values){
+  return Array.isArray(values) && values.length === 9 && values[0] === 1
+    && values.every((v, i) => typeof v === "number" && Number.isFinite(v) && (i === 0 || v > values[i - 1]));
 }
 
-function bindPairwise(rootEl, A, onUpdate){
-  rootEl.querySelectorAll(".pairRow").forEach(row=>{
-    const i = Number(row.dataset.i);
-    const j = Number(row.dataset.j);
+function scaleValues(st){
+  const sc = st.scale || defaultScale();
+  if(sc.type === "custom") return validCustomScale(sc.custom) ? sc.custom.slice() : SAATY_VALUES.slice();
+  const def = JUDGMENT_SCALES[sc.type] || JUDGMENT_SCALES.saaty;
+  return SAATY_VALUES.map(def.value);
+}
 
-    const rng = row.querySelector(".rng");
-    const valBox = row.querySelector(".valBox");
-    const dirBox = row.querySelector(".dirBox");
-    if(!rng || !valBox || !dirBox) return;
+function formatScaleValue(v){
+  return Math.abs(v - Math.round(v)) < 1e-9 ? String(Math.round(v)) : v.toFixed(2);
+}
 
-    const normalize = (raw)=>{
-      let v = Number(raw);
+function scaleBadgeText(scale){
+  return Object.entries(INTENSITY_LABELS)
+    .map(([x, label]) => `${x} ${label} (${formatScaleValue(scale[x - 1])})`)
+    .join(", ");
+}
 
-      // remove 0 and -1
-      if(v === 0) v = 1;
-      if(v === -1) v = -2;
+// encode a matrix value into a slider value, nearest intensity on a log scale:
+// aij >= 1  -> 1..9
+// aij < 1   -> -9..-2 (no -1)
+function sliderFromJudgment(aij, scale=SAATY_VALUES){
+  const a = aij >= 1 ? aij : 1 / aij;
+  let best = 0;
+  for(let k=1;k<scale.length;k++){
+    if(Math.abs(Math.log(a / scale[k])) < Math.abs(Math.log(a / scale[best]))) best = k;
+  }
+  if(best === 0) return 1;
+  return aij >= 1 ? best + 1 : -(best + 1);
+}
 
-      if(v < 0){
-        v = Math.max(-9, Math.min(-2, v));
-      }else{
-        v = Math.max(1, Math.min(9, v));
-      }
-      return v;
-    };
+function judgmentFromSlider(v, scale=SAATY_VALUES){
+  return v >= 1 ? scale[v - 1] : 1 / scale[Math.abs(v) - 1];
+}
 
-    const setDirection = (v)=>{
-      if(v === 1){
-        dirBox.textContent = "Equivalent";
-      }else if(v > 1){
-        dirBox.textContent = "Left preferred";
-      }else{
-        dirBox.textContent = "Right preferred";
-      }
-    };
+// keeps every answered judgment at its intensity when the scale changes,
+// values typed off the scale stay as they are
+function rescaleJudgments(st, from, to){
+  const remap = (A)=> A.map((row, i) => row.map((v, j)=>{
+    if(i === j || !isAnswered(v) || !onScale(v, from)) return v;
+    return judgmentFromSlider(sliderFromJudgment(v, from), to);
+  }));
+  const sets = [st].concat(st.participants || []);
+  sets.forEach(js=>{
+    judgmentMatrices(st, js).forEach(m => m.set(remap(m.A)));
+    // kept for a switch back to pairwise comparisons
+    if(ratingsOn(st)) leafCriteria(st).forEach(leaf=>{ js.altMatrices[leaf.id] = remap(js.altMatrices[leaf.id]); });
+  });
+  if(st.ratings) gradeMatrices(st).forEach(m => m.set(remap(m.A)));
+  if(st.anp){
+    st.anp.links.forEach(l=>{ l.matrix = remap(l.matrix); });
+    ANP_CLUSTERS.forEach(c=>{ st.anp.clusters[c] = remap(st.anp.clusters[c]); });
+  }
+}
 
-    const apply = ()=>{
-      const v = normalize(rng.value);
-      rng.value = String(v);
+// slider position label, the mapped ratio when it differs from the intensity
+function sliderLabel(v, scale=SAATY_VALUES){
+  const value = scale[Math.abs(v) - 1];
+  if(Math.abs(value - Math.abs(v)) < 1e-9) return String(v);
+  return `${v} (${v < 0 ? "1/" : ""}${formatScaleValue(value)})`;
+}
 
-      valBox.textContent = String(v);
-      setDirection(v);
+const SLIDER_VALUES = [-9, -8, -7, -6, -5, -4, -3, -2, 1, 2, 3, 4, 5, 6, 7, 8, 9];
+
+const SERIES_COLORS = [
+  [37, 99, 235], [220, 38, 38], [22, 163, 74], [217, 119, 6], [124, 58, 237],
+  [8, 145, 178], [219, 39, 119], [101, 163, 13], [71, 85, 105], [234, 88, 12]
+];
+
+function seriesColor(i, alpha=1){
+  const c = SERIES_COLORS[i % SERIES_COLORS.length];
+  return `rgba(${c[0]},${c[1]},${c[2]},${alpha})`;
+}
+
+// lines: [{ name, points: [[x,y],...] }], x in 0..1; markers: [{ x, label }]
+function drawLineChart(canvasId, title, lines, markers){
+  const c = document.getElementById(canvasId);
+  if(!c) return;
+  const ctx = c.getContext("2d");
+
+  const W = c.width;
+  const H = c.height;
+  ctx.clearRect(0,0,W,H);
+
+  ctx.fillStyle = "rgba(15,23,42,0.92)";
+  ctx.font = "18px system-ui";
+  ctx.textAlign = "left";
+  ctx.fillText(title, 18, 28);
+
+  const left = 54;
+  const right = 170;
+  const top = 48;
+  const bottom = 36;
+  const chartW = W - left - right;
+  const chartH = H - top - bottom;
+
+  const maxY = Math.max(...lines.flatMap(l => l.points.map(p => p[1])), 0.00001);
+  const px = (x)=> left + x * chartW;
+  const py = (y)=> top + chartH - (y / maxY) * chartH * 0.95;
+
+  ctx.strokeStyle = "rgba(15,23,42,0.16)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  ctx.moveTo(left, top);
+  ctx.lineTo(left, top + chartH);
+  ctx.lineTo(left + chartW, top + chartH);
+  ctx.stroke();
+
+  ctx.fillStyle = "rgba(15,23,42,0.70)";
+  ctx.font = "12px system-ui";
+  ctx.textAlign = "center";
+  for(let t=0;t<=4;t++){
+    ctx.fillText((t / 4).toFixed(2), px(t / 4), top + chartH + 16);
+  }
+  ctx.textAlign = "right";
+  ctx.fillText(maxY.toFixed(2), left - 6, py(maxY));
+  ctx.fillText("0", left - 6, top + chartH);
+
+  (markers || []).forEach(m=>{
+    ctx.strokeStyle = "rgba(15,23,42,0.35)";
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(px(m.x), top);
+    ctx.lineTo(px(m.x), top + chartH);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    ctx.fillStyle = "rgba(15,23,42,0.70)";
+    ctx.textAlign = "center";
+    ctx.fillText(m.label, px(m.x), top - 6);
+  });
+
+  lines.forEach((l, i)=>{
+    ctx.strokeStyle = seriesColor(i);
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    l.points.forEach((p, k)=>{
+      if(k === 0) ctx.moveTo(px(p[0]), py(p[1]));
+      else ctx.lineTo(px(p[0]), py(p[1]));
+    });
+    ctx.stroke();
+
+    ctx.fillStyle = seriesColor(i);
+    ctx.textAlign = "left";
+    ctx.fillText(l.name, left + chartW + 10, top + 14 + i * 18);
+  });
+}
+
+// rows: [{ name, values }], one segment per series, bars scaled to the largest total
+function drawStackedBars(canvasId, title, rows, series){
+  const c = document.getElementById(canvasId);
+  if(!c) return;
+  const ctx = c.getContext("2d");
+
+  const W = c.width;
+  const H = c.height;
+  ctx.clearRect(0,0,W,H);
+
+  ctx.fillStyle = "rgba(15,23,42,0.92)";
+  ctx.font = "18px system-ui";
+  ctx.textAlign = "left";
+  ctx.fillText(title, 18, 28);
+
+  const left = 150;
+  const right = 18;
+  const top = 70;
+  const bottom = 18;
+  const chartW = W - left - right;
+  const chartH = H - top - bottom;
+
+  ctx.font = "12px system-ui";
+  let lx = left;
+  series.forEach((name, k)=>{
+    ctx.fillStyle = seriesColor(k, 0.75);
+    ctx.fillRect(lx, 40, 12, 12);
+    ctx.fillStyle = "rgba(15,23,42,0.80)";
+    ctx.fillText(name, lx + 16, 50);
+    lx += 24 + ctx.measureText(name).width;
+  });
+
+  const maxT = Math.max(...rows.map(r => r.values.reduce((a,b)=>a+b,0)), 0.00001);
+  const gap = 10;
+  const barH = Math.min(34, (chartH - gap * (rows.length - 1)) / rows.length);
+
+  rows.forEach((r, i)=>{
+    const y = top + i * (barH + gap);
+    ctx.fillStyle = "rgba(15,23,42,0.80)";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    ctx.fillText(r.name, left - 10, y + barH / 2);
+
+    let x = left;
+    r.values.forEach((v, k)=>{
+      const w = (v / maxT) * chartW;
+      ctx.fillStyle = seriesColor(k, 0.75);
+      ctx.fillRect(x, y, w, barH);
+      x += w;
+    });
+    ctx.textBaseline = "alphabetic";
+  });
+  ctx.textAlign = "left";
+}
+
+// pairwise, scoped binding per container
+function pairwiseHTML(labels, A, scale=SAATY_VALUES){
+  const n = labels.length;
+  const comp = matrixCompletion(A);
+  const needed = new Set(comp.needed.map(([i, j]) => `${i},${j}`));
+  let html = `
+    <div class="small muted completion">
+      Answered ${comp.answered} of ${comp.total} (${comp.percent.toFixed(0)}%), at least ${comp.minimum} connected comparisons needed.
+      ${comp.connected ? "Enough comparisons to derive the weights." : `Still needed: ${comp.needed.map(([i, j]) => `${escapeHtml(labels[i])} vs ${escapeHtml(labels[j])}`).join(", ")}.`}
+    </div>
+  `;
 
-      const B = cloneMatrix(A);
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      const answered = isAnswered(A[i][j]);
+      const v = answered ? sliderFromJudgment(A[i][j], scale) : 1;
 
-      if(v > 1){
-        B[i][j] = v;
-        B[j][i] = 1 / v;
+      let direction;
+      if(!answered){
+        direction = "Not answered";
       }else if(v === 1){
-        B[i][j] = 1;
-        B[j][i] = 1;
+        direction = "Equivalent";
+      }else if(v > 1){
+        direction = "Left preferred";
+      }else{
+        direction = "Right preferred";
+      }
+
+      const cls = "pairRow" + (answered ? "" : " unanswered") + (needed.has(`${i},${j}`) ? " needed" : "");
+      html += `
+        <div class="${cls}" data-i="${i}" data-j="${j}">
+          <div>${escapeHtml(labels[i])}</div>
+          <div class="pairMid">
+            <input type="range" class="rng" min="-9" max="9" step="1" value="${v}" />
+            <div class="valBox">${answered ? (onScale(A[i][j], scale) ? sliderLabel(v, scale) : formatJudgment(A[i][j])) : "–"}</div>
+            <div class="dirBox">${direction}</div>
+            <button type="button" class="pairClear">${answered ? "Clear" : "Equal"}</button>
+          </div>
+          <div style="text-align:right">${escapeHtml(labels[j])}</div>
+        </div>
+      `;
+    }
+  }
+
+  return html;
+}
+
+// fuzzy mode: one linguistic term per pair instead of the slider
+function fuzzyPairwiseHTML(labels, A, scale=SAATY_VALUES){
+  const n = labels.length;
+  const comp = matrixCompletion(A);
+  let html = `
+    <div class="small muted completion">
+      Answered ${comp.answered} of ${comp.total} (${comp.percent.toFixed(0)}%), at least ${comp.minimum} connected comparisons needed.
+    </div>
+  `;
+
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      const answered = isAnswered(A[i][j]);
+      const v = answered ? sliderFromJudgment(A[i][j], scale) : null;
+      const options = [`<option value=""${answered ? "" : " selected"}>Not answered</option>`]
+        .concat(SLIDER_VALUES.slice().reverse().map(x=>{
+          const term = FUZZY_TERMS[Math.abs(x)];
+          const text = x === 1 ? term : `${x > 1 ? labels[i] : labels[j]}: ${term.toLowerCase()}`;
+          return `<option value="${x}"${x === v ? " selected" : ""}>${escapeHtml(text)}</option>`;
+        }));
+
+      html += `
+        <div class="pairRow${answered ? "" : " unanswered"}" data-i="${i}" data-j="${j}">
+          <div>${escapeHtml(labels[i])}</div>
+          <div class="pairMid">
+            <select class="termSel">${options.join("")}</select>
+            <div class="dirBox">${answered ? formatFuzzy(fuzzyJudgment(A[i][j], scale), 2) : ""}</div>
+          </div>
+          <div style="text-align:right">${escapeHtml(labels[j])}</div>
+        </div>
+      `;
+    }
+  }
+
+  return html;
+}
+
+function bindFuzzyPairwise(rootEl, A, onUpdate, scale=SAATY_VALUES){
+  rootEl.querySelectorAll(".pairRow").forEach(row=>{
+    const i = Number(row.dataset.i);
+    const j = Number(row.dataset.j);
+    const sel = row.querySelector(".termSel");
+    if(!sel) return;
+
+    sel.addEventListener("change", ()=>{
+      if(sel.value === ""){
+        const B = cloneMatrix(A);
+        B[i][j] = null;
+        B[j][i] = null;
+        onUpdate(B);
+        return;
+      }
+      onUpdate(setPairwise(A, i, j, judgmentFromSlider(Number(sel.value), scale)));
+    });
+  });
+}
+
+function bindPairwise(rootEl, A, onUpdate, scale=SAATY_VALUES){
+  rootEl.querySelectorAll(".pairRow").forEach(row=>{
+    const i = Number(row.dataset.i);
+    const j = Number(row.dataset.j);
+
+    const rng = row.querySelector(".rng");
+    const valBox = row.querySelector(".valBox");
+    const dirBox = row.querySelector(".dirBox");
+    if(!rng || !valBox || !dirBox) return;
+
+    const normalize = (raw)=>{
+      let v = Number(raw);
+
+      // remove 0 and -1
+      if(v === 0) v = 1;
+      if(v === -1) v = -2;
+
+      if(v < 0){
+        v = Math.max(-9, Math.min(-2, v));
+      }else{
+        v = Math.max(1, Math.min(9, v));
+      }
+      return v;
+    };
+
+    const setDirection = (v)=>{
+      if(v === 1){
+        dirBox.textContent = "Equivalent";
+      }else if(v > 1){
+        dirBox.textContent = "Left preferred";
       }else{
-        const s = Math.abs(v);
-        B[i][j] = 1 / s;
-        B[j][i] = s;
+        dirBox.textContent = "Right preferred";
       }
+    };
+
+    const apply = ()=>{
+      const v = normalize(rng.value);
+      rng.value = String(v);
 
-      for(let k=0;k<B.length;k++) B[k][k] = 1;
+      valBox.textContent = sliderLabel(v, scale);
+      setDirection(v);
 
-      onUpdate(B);
+      onUpdate(setPairwise(A, i, j, judgmentFromSlider(v, scale)));
     };
 
     rng.addEventListener("input", ()=>{
       const v = normalize(rng.value);
       rng.value = String(v);
-      valBox.textContent = String(v);
+      valBox.textContent = sliderLabel(v, scale);
       setDirection(v);
     });
 
     rng.addEventListener("change", apply);
 
+    const clear = row.querySelector(".pairClear");
+    const answered = isAnswered(A[i][j]);
+    if(clear){
+      clear.addEventListener("click", ()=>{
+        if(!answered){
+          apply();
+          return;
+        }
+        const B = cloneMatrix(A);
+        B[i][j] = null;
+        B[j][i] = null;
+        onUpdate(B);
+      });
+    }
+
     // init
-    setDirection(normalize(rng.value));
+    if(answered) setDirection(normalize(rng.value));
+  });
+}
+
+// direct entry: any positive value as a number, a fraction like 1/3 or a decimal with a comma
+function parseJudgment(text){
+  const t = String(text).trim().replace(",", ".");
+  if(t === "") return null;
+  const m = t.match(/^(\d*\.?\d+)(?:\s*\/\s*(\d*\.?\d+))?$/);
+  if(!m) return NaN;
+  const v = m[2] === undefined ? Number(m[1]) : Number(m[1]) / Number(m[2]);
+  return Number.isFinite(v) && v > 0 ? v : NaN;
+}
+
+// values below 1 as 1/x when x is short, so typed fractions read back the same
+function formatJudgment(v){
+  if(!isAnswered(v)) return "";
+  const short = (x)=> String(Number(x.toFixed(3)));
+  if(v >= 1) return short(v);
+  const r = 1 / v;
+  return Math.abs(r - Number(r.toFixed(3))) < 1e-9 ? `1/${short(r)}` : short(v);
+}
+
+function onScale(v, scale=SAATY_VALUES){
+  return Math.abs(Math.log(judgmentFromSlider(sliderFromJudgment(v, scale), scale) / v)) < 1e-9;
+}
+
+// a pasted block: n rows of n tab separated cells, or n + 1 with a header row and column
+function parseMatrixBlock(text, n){
+  let rows = text.replace(/\r/g, "").split("\n").filter(r => r.trim() !== "").map(r => r.split("\t"));
+  if(rows.length === n + 1 && rows.every(r => r.length === n + 1)) rows = rows.slice(1).map(r => r.slice(1));
+  if(rows.length !== n || !rows.every(r => r.length === n)){
+    return { error: `Expected a ${n}×${n} block, the pasted one is ${rows.length}×${Math.max(0, ...rows.map(r => r.length))}.` };
+  }
+  const B = rows.map(r => r.map(parseJudgment));
+  for(let i=0;i<n;i++){
+    for(let j=0;j<n;j++){
+      if(Number.isNaN(B[i][j])) return { error: `Row ${i + 1}, column ${j + 1}: "${rows[i][j].trim()}" is not a positive number.` };
+    }
+  }
+  return { B };
+}
+
+// fills a missing mirror with the reciprocal; pairs that are not reciprocal (beyond the
+// rounding of spreadsheet values) become the geometric mean of a_ij and 1 / a_ji
+function repairReciprocal(B, tol=0.02){
+  const n = B.length;
+  const R = B.map(r => r.slice());
+  const changes = [];
+  for(let i=0;i<n;i++){
+    if(R[i][i] !== null && Math.abs(R[i][i] - 1) > 1e-9) changes.push({ i, j: i, upper: R[i][i], lower: null, value: 1 });
+    R[i][i] = 1;
+    for(let j=i+1;j<n;j++){
+      const a = R[i][j];
+      const b = R[j][i];
+      if(a === null && b === null) continue;
+      if(a === null || b === null){
+        const v = a === null ? 1 / b : a;
+        R[i][j] = v;
+        R[j][i] = 1 / v;
+        continue;
+      }
+      if(Math.abs(Math.log(a * b)) <= tol){
+        R[j][i] = 1 / a;
+        continue;
+      }
+      const v = Math.sqrt(a / b);
+      changes.push({ i, j, upper: a, lower: b, value: v });
+      R[i][j] = v;
+      R[j][i] = 1 / v;
+    }
+  }
+  return { R, changes };
+}
+
+function repairDiffHTML(labels, changes){
+  return `
+    <div class="badge warn">The pasted matrix is not reciprocal in ${changes.length} ${changes.length === 1 ? "place" : "places"}.</div>
+    <table>
+      <thead><tr><th>Pair</th><th>Pasted a<sub>ij</sub></th><th>Pasted a<sub>ji</sub></th><th>Repaired a<sub>ij</sub></th></tr></thead>
+      <tbody>
+        ${changes.map(c=>`<tr><td>${escapeHtml(labels[c.i])} vs ${escapeHtml(labels[c.j])}</td><td>${formatJudgment(c.upper)}</td><td>${c.lower === null ? "" : formatJudgment(c.lower)}</td><td class="changed">${formatJudgment(c.value)}</td></tr>`).join("")}
+      </tbody>
+    </table>
+    <div class="kv" style="margin-top:8px;">
+      <button type="button" class="btn inline" data-paste="apply">Apply repaired matrix</button>
+      <button type="button" class="btn inline" data-paste="discard">Discard paste</button>
+    </div>
+  `;
+}
+
+// editable grid: the mirrored cell takes the reciprocal of the one typed;
+// grids left open and the cell after the last edit survive the re-render
+const openGrids = new Set();
+let gridFocus = null;
+
+function matrixGridHTML(labels, A){
+  const n = labels.length;
+  let html = `<div class="tableScroll"><table class="gridTable"><thead><tr><th></th>${labels.map(l => `<th>${escapeHtml(l)}</th>`).join("")}</tr></thead><tbody>`;
+  for(let i=0;i<n;i++){
+    html += `<tr><th>${escapeHtml(labels[i])}</th>`;
+    for(let j=0;j<n;j++){
+      html += i === j
+        ? `<td class="muted">1</td>`
+        : `<td><input type="text" class="cellIn" data-i="${i}" data-j="${j}" value="${formatJudgment(A[i][j])}" /></td>`;
+    }
+    html += `</tr>`;
+  }
+  html += `</tbody></table></div>
+    <div class="small muted" style="margin-top:6px;">Type 3, 1/3 or 2.5; the mirrored cell takes the reciprocal, an empty cell clears the pair. Paste an ${n}×${n} block copied from a spreadsheet, with or without its labels, into any cell.</div>
+    <div class="pasteReport"></div>
+  `;
+  return html;
+}
+
+function bindMatrixGrid(rootEl, labels, A, onUpdate){
+  const report = rootEl.querySelector(".pasteReport");
+  const inputs = Array.from(rootEl.querySelectorAll(".cellIn"));
+
+  inputs.forEach((input, k)=>{
+    const i = Number(input.dataset.i);
+    const j = Number(input.dataset.j);
+
+    input.addEventListener("change", ()=>{
+      gridFocus = { id: rootEl.id, k: k + 1 };
+      const v = parseJudgment(input.value);
+      if(Number.isNaN(v)){
+        input.classList.add("bad");
+        input.title = "Enter a positive number, a fraction like 1/3 or leave empty.";
+        return;
+      }
+      if(v === null){
+        const B = cloneMatrix(A);
+        B[i][j] = null;
+        B[j][i] = null;
+        onUpdate(B);
+        return;
+      }
+      onUpdate(setPairwise(A, i, j, v));
+    });
+
+    input.addEventListener("paste", (e)=>{
+      const text = e.clipboardData.getData("text");
+      if(!/[\t\n]/.test(text.trim())) return;
+      e.preventDefault();
+      const parsed = parseMatrixBlock(text, A.length);
+      if(parsed.error){
+        report.innerHTML = `<div class="badge warn">${escapeHtml(parsed.error)}</div>`;
+        return;
+      }
+      const { R, changes } = repairReciprocal(parsed.B);
+      if(!changes.length){
+        onUpdate(R);
+        return;
+      }
+      report.innerHTML = repairDiffHTML(labels, changes);
+      report.querySelector('[data-paste="apply"]').addEventListener("click", ()=> onUpdate(R));
+      report.querySelector('[data-paste="discard"]').addEventListener("click", ()=>{ report.innerHTML = ""; });
+    });
+  });
+
+  if(gridFocus && gridFocus.id === rootEl.id){
+    const next = inputs[gridFocus.k];
+    gridFocus = null;
+    if(next) next.focus();
+  }
+}
+
+// a grid behind a toggle, opened from its heatmap
+function gridToggleHTML(id, labels, A){
+  return `
+    <details class="gridEdit" id="${id}_box"${openGrids.has(id) ? " open" : ""}>
+      <summary>Edit as numbers</summary>
+      <div id="${id}">${matrixGridHTML(labels, A)}</div>
+    </details>
+  `;
+}
+
+function bindGridToggle(id, canvasId, labels, A, onUpdate){
+  const box = document.getElementById(`${id}_box`);
+  if(!box) return;
+  box.addEventListener("toggle", ()=>{
+    if(box.open) openGrids.add(id);
+    else openGrids.delete(id);
+  });
+  const gridEl = document.getElementById(id);
+  bindMatrixGrid(gridEl, labels, A, onUpdate);
+  bindHeatmapCells(canvasId, labels.length, (i, j)=>{
+    if(i === j) return;
+    box.open = true;
+    openGrids.add(id);
+    const input = gridEl.querySelector(`.cellIn[data-i="${i}"][data-j="${j}"]`);
+    input.focus();
+    input.select();
   });
 }
 
@@ -427,11 +2420,13 @@ function bindPairwise(rootEl, A, onUpdate){
 
 
 
-function renderEditableList(containerId, items, onChange, minLen){
+// handlers read the live list, renames do not re-render
+function renderEditableList(containerId, getItems, onChange, minLen){
   const root = document.getElementById(containerId);
   if(!root) return;
 
   root.innerHTML = "";
+  const items = getItems();
   items.forEach((v, i)=>{
     const row = document.createElement("div");
     row.className = "kv";
@@ -441,288 +2436,3373 @@ function renderEditableList(containerId, items, onChange, minLen){
     input.type = "text";
     input.value = v;
     input.addEventListener("input", (e)=>{
-      const next = items.slice();
+      const next = getItems().slice();
       next[i] = e.target.value;
       onChange(next);
     });
 
+    // structural edits also pass the old index of every item
+    const move = (d)=>{
+      const live = getItems();
+      const from = live.map((_, k) => k);
+      [from[i], from[i + d]] = [from[i + d], from[i]];
+      onChange(from.map(k => live[k]), from);
+    };
+
     const btn = document.createElement("button");
     btn.type = "button";
     btn.className = "btn";
     btn.textContent = "-";
     btn.disabled = items.length <= minLen;
     btn.addEventListener("click", ()=>{
-      if(items.length <= minLen) return;
-      onChange(items.filter((_,k)=>k!==i));
+      const live = getItems();
+      if(live.length <= minLen) return;
+      onChange(live.filter((_,k)=>k!==i), live.map((_, k) => k).filter(k => k !== i));
+    });
+
+    row.appendChild(input);
+    row.appendChild(moveButton("↑", i === 0, ()=> move(-1)));
+    row.appendChild(moveButton("↓", i === items.length - 1, ()=> move(1)));
+    row.appendChild(btn);
+    root.appendChild(row);
+  });
+}
+
+function moveButton(label, disabled, onClick){
+  const b = document.createElement("button");
+  b.type = "button";
+  b.className = "btn";
+  b.textContent = label;
+  b.title = label === "↑" ? "Move up" : "Move down";
+  b.disabled = disabled;
+  b.addEventListener("click", onClick);
+  return b;
+}
+
+function renderCriteriaTree(containerId, st, onChange){
+  const root = document.getElementById(containerId);
+  if(!root) return;
+
+  root.innerHTML = "";
+  walkCriteria(st.criteria, (node, depth, parent, i)=>{
+    const siblings = parent ? parent.children : st.criteria;
+    const minLen = parent ? 0 : 2;
+
+    const row = document.createElement("div");
+    row.className = "kv critRow";
+    row.style.marginBottom = "8px";
+    row.style.paddingLeft = `${depth * 22}px`;
+
+    const input = document.createElement("input");
+    input.type = "text";
+    input.value = node.name;
+    input.addEventListener("input", (e)=>{
+      node.name = e.target.value;
+      onChange(false);
+    });
+
+    const add = document.createElement("button");
+    add.type = "button";
+    add.className = "btn";
+    add.textContent = "+";
+    add.title = "Add sub-criterion";
+    add.addEventListener("click", ()=>{
+      node.children.push(critNode(st, `${node.name} ${node.children.length + 1}`));
+      onChange(true);
+    });
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn";
+    btn.textContent = "-";
+    btn.disabled = siblings.length <= minLen;
+    btn.addEventListener("click", ()=>{
+      if(siblings.length <= minLen) return;
+      siblings.splice(i, 1);
+      onChange(true);
     });
 
-    row.appendChild(input);
-    row.appendChild(btn);
-    root.appendChild(row);
-  });
+    const move = (d)=>{
+      [siblings[i], siblings[i + d]] = [siblings[i + d], siblings[i]];
+      onChange(true);
+    };
+
+    row.appendChild(input);
+    row.appendChild(moveButton("↑", i === 0, ()=> move(-1)));
+    row.appendChild(moveButton("↓", i === siblings.length - 1, ()=> move(1)));
+    row.appendChild(add);
+    row.appendChild(btn);
+    root.appendChild(row);
+  });
+}
+
+function renderParticipants(containerId, st, onChange){
+  const root = document.getElementById(containerId);
+  if(!root) return;
+
+  root.innerHTML = "";
+  st.participants.forEach((p, i)=>{
+    const row = document.createElement("div");
+    row.className = "kv";
+    row.style.marginBottom = "8px";
+
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = p.name;
+    name.addEventListener("input", (e)=>{
+      p.name = e.target.value;
+      saveState(st);
+    });
+
+    const weight = document.createElement("input");
+    weight.type = "number";
+    weight.className = "weightInput";
+    weight.min = "0";
+    weight.step = "any";
+    weight.title = "Weight";
+    weight.value = String(p.weight);
+    weight.addEventListener("change", (e)=>{
+      const v = Number(e.target.value);
+      if(!(Number.isFinite(v) && v > 0)){
+        alert("Weights must be positive numbers, remove a participant to leave them out.");
+        e.target.value = String(p.weight);
+        return;
+      }
+      p.weight = v;
+      onChange();
+    });
+
+    const btn = document.createElement("button");
+    btn.type = "button";
+    btn.className = "btn";
+    btn.textContent = "-";
+    btn.addEventListener("click", ()=>{
+      const [removed] = st.participants.splice(i, 1);
+      // back to a single respondent: keep the last judgments
+      if(!st.participants.length) Object.assign(st, copyJudgments(removed));
+      if(st.activeParticipant >= st.participants.length) st.activeParticipant = 0;
+      onChange();
+    });
+
+    row.appendChild(name);
+    row.appendChild(weight);
+    row.appendChild(btn);
+    root.appendChild(row);
+  });
+}
+
+// pages
+function renderSetupPage(st){
+  const view = document.getElementById("view");
+  if(!view) return;
+
+  view.innerHTML = `
+    <div class="row">
+      <div>
+        <div class="panelTitle">Problem</div>
+        <label class="small muted">Name</label>
+        <input id="p_name" type="text" value="${escapeHtml(st.problem.name)}" />
+        <div style="height:10px"></div>
+        <label class="small muted">Goal</label>
+        <input id="p_goal" type="text" value="${escapeHtml(st.problem.goal)}" />
+      </div>
+
+      <div>
+        <div class="panelTitle">Scale</div>
+        <select id="p_scale">
+          ${Object.entries(JUDGMENT_SCALES).map(([k, sc])=>`<option value="${k}"${st.scale.type === k ? " selected" : ""}>${escapeHtml(sc.label)}</option>`).join("")}
+        </select>
+        <div style="height:8px"></div>
+        ${st.scale.type === "custom" ? `
+          <div class="scaleInputs" id="scale_custom">
+            ${st.scale.custom.map((v, k)=>`<input type="number" min="1" step="any" data-k="${k}" value="${v}"${k === 0 ? " disabled" : ""} title="Intensity ${k + 1}" />`).join("")}
+          </div>
+          <div style="height:8px"></div>
+        ` : ""}
+        <div class="badge">${escapeHtml(scaleBadgeText(scaleValues(st)))}</div>
+        <div style="height:12px"></div>
+        <label class="small muted">Fuzzy AHP</label>
+        <div class="kv">
+          <select id="p_fuzzy">
+            <option value="off"${st.fuzzy.enabled ? "" : " selected"}>Off, crisp judgments</option>
+            ${Object.entries(FUZZY_METHODS).map(([k, label])=>`<option value="${k}"${st.fuzzy.enabled && st.fuzzy.method === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+          </select>
+        </div>
+        <div style="height:12px"></div>
+        <label class="small muted">Prioritization method${st.fuzzy.enabled ? ", used by the comparison only" : ""}</label>
+        <select id="p_method">
+          ${Object.entries(PRIORITY_METHODS).map(([k, m])=>`<option value="${k}"${st.method === k ? " selected" : ""}>${escapeHtml(m.label)}</option>`).join("")}
+        </select>
+        <div style="height:12px"></div>
+        <label class="small muted">Synthesis</label>
+        <select id="p_synth">
+          ${Object.entries(SYNTHESIS_MODES).map(([k, label])=>`<option value="${k}"${st.synthesis === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+        </select>
+        <div style="height:12px"></div>
+        <label class="small muted">Model</label>
+        <select id="p_model">
+          ${Object.entries(ANP_MODELS).map(([k, label])=>`<option value="${k}"${(anpOn(st) ? "network" : "hierarchy") === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+        </select>
+        <div style="height:12px"></div>
+        <label class="small muted">Consistency index</label>
+        <select id="p_cons">
+          ${Object.entries(CONSISTENCY_INDICES).map(([k, c])=>`<option value="${k}"${st.consistency.index === k ? " selected" : ""}>${escapeHtml(c.label)}</option>`).join("")}
+        </select>
+        <div style="height:8px"></div>
+        <label class="small muted">Acceptable up to${st.consistency.index === "gci" ? ", for n = 3, n = 4 and n ≥ 5" : ""}</label>
+        <div class="scaleInputs" id="cons_thresholds">
+          ${(st.consistency.index === "gci" ? st.consistency.gci : [st.consistency[st.consistency.index]]).map((v, k)=>`<input type="number" min="0" step="0.01" data-k="${k}" value="${v}" />`).join("")}
+        </div>
+        <div style="height:12px"></div>
+        <div class="small muted">Fill criteria and alternatives, then go to matrices. Use + to split a criterion into sub-criteria.</div>
+      </div>
+    </div>
+
+    <div class="divider"></div>
+
+    <div class="row">
+      <div>
+        <div class="panelTitle">Criteria</div>
+        <div id="crit_list"></div>
+        <button type="button" class="btn inline" id="crit_add">Add criterion</button>
+      </div>
+
+      <div>
+        <div class="panelTitle">Alternatives</div>
+        <div id="alt_list"></div>
+        <button type="button" class="btn inline" id="alt_add">Add alternative</button>
+        <div style="height:12px"></div>
+        <label class="small muted">Evaluation of alternatives</label>
+        <select id="p_eval">
+          ${Object.entries(EVALUATION_MODES).map(([k, label])=>`<option value="${k}"${(ratingsOn(st) ? "ratings" : "pairwise") === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+        </select>
+        <div class="small muted" style="margin-top:6px;">Ratings suit many alternatives: each one gets a grade per criterion instead of being compared with every other.</div>
+      </div>
+    </div>
+
+    <div class="divider"></div>
+
+    <div class="row">
+      <div>
+        <div class="panelTitle">Participants</div>
+        <div id="part_list"></div>
+        <button type="button" class="btn inline" id="part_add">Add participant</button>
+        <div style="height:10px"></div>
+        <div class="small muted">Leave empty for a single respondent. Weights are optional, equal by default.</div>
+      </div>
+
+      <div>
+        <div class="panelTitle">Aggregation</div>
+        <label class="small muted">Mode</label>
+        <select id="agg_mode">
+          ${Object.entries(AGGREGATION_MODES).map(([k, label])=>`<option value="${k}"${st.aggregation.mode === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+        </select>
+        <div style="height:10px"></div>
+        <label class="small muted">Mean of individual priorities</label>
+        <select id="agg_mean"${st.aggregation.mode === "priorities" ? "" : " disabled"}>
+          ${Object.entries(AGGREGATION_MEANS).map(([k, label])=>`<option value="${k}"${st.aggregation.mean === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+        </select>
+        <div style="height:10px"></div>
+        <div class="small muted">Judgments are combined with the element-wise geometric mean.</div>
+      </div>
+    </div>
+
+    <div class="divider"></div>
+
+    <div class="row">
+      <div>
+        <div class="panelTitle">Survey</div>
+        <label class="small muted">Response URL, optional</label>
+        <input id="survey_post" type="text" placeholder="https://example.org/responses" value="${escapeHtml(st.survey ? st.survey.postUrl : "")}" />
+        <div style="height:10px"></div>
+        <div class="kv">
+          <button type="button" class="btn inline" id="survey_link">Create survey link</button>
+          <button type="button" class="btn inline" id="survey_pkg">Download survey package</button>
+        </div>
+        <div style="height:10px"></div>
+        <input id="survey_url" type="text" readonly placeholder="The link appears here" />
+        ${st.survey && st.survey.fingerprint !== surveyFingerprint(st) ? `
+          <div style="height:8px"></div>
+          <div class="badge warn">Criteria or alternatives changed since the survey was created, responses to it can no longer be loaded.</div>
+        ` : ""}
+        <div style="height:10px"></div>
+        <div class="small muted">Respondents only see the comparisons. Without a response URL they download a response file and send it to you.</div>
+      </div>
+
+      <div>
+        <div class="panelTitle">Responses</div>
+        <button type="button" class="btn inline" id="survey_load"${st.survey ? "" : " disabled"}>Load response files</button>
+        <div style="height:10px"></div>
+        <div class="small muted">${st.survey ? "Each response is added as a participant." : "Create a survey first."}</div>
+      </div>
+    </div>
+  `;
+
+  document.getElementById("p_name").addEventListener("input", e=>{ st.problem.name = e.target.value; saveState(st); });
+  document.getElementById("p_goal").addEventListener("input", e=>{ st.problem.goal = e.target.value; saveState(st); });
+  document.getElementById("p_method").addEventListener("change", e=>{ st.method = e.target.value; saveState(st); });
+  document.getElementById("p_synth").addEventListener("change", e=>{ st.synthesis = e.target.value; saveState(st); });
+  document.getElementById("p_cons").addEventListener("change", e=>{
+    st.consistency.index = e.target.value;
+    saveState(st);
+    renderSetupPage(st);
+  });
+
+  document.getElementById("cons_thresholds").querySelectorAll("input").forEach(input=>{
+    input.addEventListener("change", ()=>{
+      const v = Number(input.value);
+      if(!(Number.isFinite(v) && v > 0)){
+        alert("Thresholds must be positive numbers.");
+        renderSetupPage(st);
+        return;
+      }
+      if(st.consistency.index === "gci") st.consistency.gci[Number(input.dataset.k)] = v;
+      else st.consistency[st.consistency.index] = v;
+      saveState(st);
+    });
+  });
+
+  document.getElementById("p_model").addEventListener("change", e=>{ st.anp.enabled = e.target.value === "network"; saveState(st); });
+  document.getElementById("p_eval").addEventListener("change", e=>{
+    st.ratings.enabled = e.target.value === "ratings";
+    saveState(st);
+    setStatus(st);
+  });
+
+  document.getElementById("p_fuzzy").addEventListener("change", e=>{
+    const v = e.target.value;
+    st.fuzzy.enabled = v !== "off";
+    if(st.fuzzy.enabled) st.fuzzy.method = v;
+    saveState(st);
+    renderSetupPage(st);
+  });
+
+  document.getElementById("p_scale").addEventListener("change", e=>{
+    const before = scaleValues(st);
+    st.scale.type = e.target.value;
+    rescaleJudgments(st, before, scaleValues(st));
+    saveState(st);
+    renderSetupPage(st);
+  });
+
+  const customEl = document.getElementById("scale_custom");
+  if(customEl){
+    customEl.querySelectorAll("input").forEach(input=>{
+      input.addEventListener("change", ()=>{
+        const next = st.scale.custom.slice();
+        next[Number(input.dataset.k)] = Number(input.value);
+        if(validCustomScale(next)){
+          const before = scaleValues(st);
+          st.scale.custom = next;
+          rescaleJudgments(st, before, scaleValues(st));
+          saveState(st);
+        }else{
+          alert("Custom scale values must start at 1 and increase with the intensity.");
+        }
+        renderSetupPage(st);
+      });
+    });
+  }
+
+  // every structural edit re-renders, so this is the layout the judgments belong to
+  const layout = critLayout(st);
+
+  renderCriteriaTree("crit_list", st, (structural)=>{
+    if(structural){
+      st.activeCritIdx = 0;
+      st.activeGroupId = null;
+      reshapeJudgments(st, layout);
+    }
+    saveState(st);
+    if(structural) renderSetupPage(st);
+    setStatus(st);
+  });
+
+  renderEditableList("alt_list", () => st.alternatives, (arr, from)=>{
+    st.alternatives = arr;
+    // renames keep every judgment and the focus in the input
+    if(from) reshapeJudgments(st, layout, from);
+    saveState(st);
+    if(!from) return;
+    renderSetupPage(st);
+    setStatus(st);
+  }, 2);
+
+  document.getElementById("crit_add").addEventListener("click", ()=>{
+    st.criteria.push(critNode(st, `C${st.criteria.length + 1}`));
+    reshapeJudgments(st, layout);
+    saveState(st);
+    renderSetupPage(st);
+    setStatus(st);
+  });
+
+  renderParticipants("part_list", st, ()=>{
+    saveState(st);
+    renderSetupPage(st);
+    setStatus(st);
+  });
+
+  document.getElementById("part_add").addEventListener("click", ()=>{
+    const list = st.participants;
+    // the first participant takes over the judgments entered so far
+    const js = list.length ? blankJudgments(st) : copyJudgments(st);
+    list.push({ name: `Participant ${list.length + 1}`, weight: 1, ...js });
+    saveState(st);
+    renderSetupPage(st);
+    setStatus(st);
+  });
+
+  document.getElementById("agg_mode").addEventListener("change", e=>{
+    st.aggregation.mode = e.target.value;
+    saveState(st);
+    renderSetupPage(st);
+  });
+
+  document.getElementById("agg_mean").addEventListener("change", e=>{
+    st.aggregation.mean = e.target.value;
+    saveState(st);
+  });
+
+  document.getElementById("alt_add").addEventListener("click", ()=>{
+    st.alternatives.push(`A${st.alternatives.length + 1}`);
+    reshapeJudgments(st, layout, st.alternatives.map((_, i) => i < st.alternatives.length - 1 ? i : -1));
+    saveState(st);
+    renderSetupPage(st);
+    setStatus(st);
+  });
+
+  // a new survey id whenever the hierarchy changed, so old responses are rejected
+  const freezeSurvey = ()=>{
+    const fingerprint = surveyFingerprint(st);
+    const postUrl = document.getElementById("survey_post").value.trim();
+    if(!st.survey || st.survey.fingerprint !== fingerprint){
+      st.survey = { id: uniqueId("s"), fingerprint, postUrl };
+    }
+    st.survey.postUrl = postUrl;
+    saveState(st);
+  };
+
+  document.getElementById("survey_post").addEventListener("change", e=>{
+    if(!st.survey) return;
+    st.survey.postUrl = e.target.value.trim();
+    saveState(st);
+  });
+
+  document.getElementById("survey_link").addEventListener("click", ()=>{
+    freezeSurvey();
+    renderSetupPage(st);
+    document.getElementById("survey_url").value = surveyLink(st);
+    document.getElementById("survey_url").select();
+  });
+
+  document.getElementById("survey_pkg").addEventListener("click", ()=>{
+    freezeSurvey();
+    downloadJSON(surveyDefinition(st), "ahp_survey.json");
+    renderSetupPage(st);
+  });
+
+  document.getElementById("survey_load").addEventListener("click", ()=>{
+    const input = document.createElement("input");
+    input.type = "file";
+    input.accept = "application/json,.json";
+    input.multiple = true;
+    input.addEventListener("change", ()=>{
+      if(!input.files.length) return;
+      loadResponseFiles(input.files, st).then(results=>{
+        const failed = results.filter(r => r.error);
+        results.filter(r => r.participant).forEach(r => st.participants.push(r.participant));
+        saveState(st);
+        renderSetupPage(st);
+        setStatus(st);
+        if(failed.length){
+          alert(`Some responses were skipped:\n${failed.map(r => `${r.file}: ${r.error}`).join("\n")}`);
+        }
+      });
+    });
+    input.click();
+  });
+}
+
+// survey banner, participant tabs and the questionnaire switch above both matrices views
+function matricesHeadHTML(st){
+  return `
+    ${st.respondent ? surveyBannerHTML(st) : ""}
+    ${st.participants.length ? `
+      <div class="panelTitle">Participant</div>
+      <div class="tabs" id="partTabs"></div>
+      <div class="divider"></div>
+    ` : ""}
+    <div class="kv">
+      <button type="button" class="btn inline" id="wiz_toggle">${st.wizard.enabled ? "Show all matrices" : "Guided questionnaire"}</button>
+      ${st.wizard.enabled ? `
+        <select id="wiz_order">
+          ${Object.entries(WIZARD_ORDERS).map(([k, label])=>`<option value="${k}"${st.wizard.order === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+        </select>
+        ${st.wizard.order === "matrix" ? "" : `<button type="button" class="btn inline" id="wiz_shuffle">Reshuffle</button>`}
+      ` : ""}
+    </div>
+    <div class="divider"></div>
+  `;
+}
+
+function bindMatricesHead(st, js){
+  const refresh = ()=>{
+    saveState(st);
+    renderMatricesPage(st);
+    setStatus(st);
+  };
+
+  bindSurveyBanner(st);
+
+  const partTabs = document.getElementById("partTabs");
+  if(partTabs){
+    st.participants.forEach((p, i)=>{
+      const b = document.createElement("button");
+      b.type = "button";
+      b.className = "tabBtn" + (p === js ? " active" : "");
+      b.textContent = p.name;
+      b.addEventListener("click", ()=>{
+        st.activeParticipant = i;
+        refresh();
+      });
+      partTabs.appendChild(b);
+    });
+  }
+
+  document.getElementById("wiz_toggle").addEventListener("click", ()=>{
+    st.wizard.enabled = !st.wizard.enabled;
+    refresh();
+  });
+
+  const order = document.getElementById("wiz_order");
+  if(order){
+    order.addEventListener("change", e=>{
+      st.wizard.order = e.target.value;
+      st.wizard.step = 0;
+      refresh();
+    });
+  }
+
+  const shuffle = document.getElementById("wiz_shuffle");
+  if(shuffle){
+    shuffle.addEventListener("click", ()=>{
+      st.wizard.seed = Math.floor(Math.random() * 1e9) + 1;
+      st.wizard.step = 0;
+      refresh();
+    });
+  }
+}
+
+function renderMatricesPage(st){
+  const view = document.getElementById("view");
+  if(!view) return;
+
+  const groups = critGroups(st);
+  let group = groups.find(g => g.id === st.activeGroupId);
+  if(!group) group = groups[0];
+  st.activeGroupId = group.id;
+
+  const js = judgments(st);
+  const rows = completionRows(st);
+  const setRows = rows.filter(r => r.set === (st.participants.length ? st.activeParticipant : 0) || r.set === null);
+  const markOf = (kind, id)=> statusMark(setRows.find(r => r.id === id && (kind === "group" ? r.kind === "group" : r.kind !== "group")));
+
+  if(st.wizard.enabled){
+    view.innerHTML = `${matricesHeadHTML(st)}<div id="completion">${completionHTML(st, rows)}</div><div id="wizard"></div>`;
+    bindMatricesHead(st, js);
+    const refresh = ()=>{
+      saveState(st);
+      renderMatricesPage(st);
+      setStatus(st);
+    };
+    bindCompletion(document.getElementById("completion"), st, rows, refresh);
+    renderWizard(document.getElementById("wizard"), st, js, m => markOf(m.kind, m.id), refresh);
+    return;
+  }
+
+  const scale = scaleValues(st);
+  const fuzzyOn = st.fuzzy.enabled;
+  const groupMat = groupMatrix(js, group.id);
+  const groupLabels = group.children.map(c => c.name);
+  const critSolve = ahpSolve(groupMat);
+
+  const leaves = leafCriteria(st);
+  let activeIdx = st.activeCritIdx ?? 0;
+  if(activeIdx < 0 || activeIdx >= leaves.length) activeIdx = 0;
+  st.activeCritIdx = activeIdx;
+
+  const leaf = leaves[activeIdx];
+  const altMat = js.altMatrices[leaf.id];
+  const altSolve = ahpSolve(altMat);
+  const rated = ratingsOn(st);
+  const critRepairKey = `${st.activeParticipant}:group:${group.id}`;
+  const altRepairKey = `${st.activeParticipant}:alt:${leaf.id}`;
+
+  const groupTitle = group.id === null ? "Goal" : critPath(st, group.id);
+
+  view.innerHTML = `
+    ${matricesHeadHTML(st)}
+    <div id="completion">${completionHTML(st, rows)}</div>
+    <div class="panelTitle">Hierarchy</div>
+    <div class="tabs critTree" id="critTabs"></div>
+
+    <div class="divider"></div>
+
+    <div class="panelTitle">Criteria comparisons, ${escapeHtml(groupTitle)}</div>
+    <div class="small muted">${crBadge(critSolve, st.consistency)}</div>
+    <div id="critDiag">${diagnosisHTML(groupLabels, groupMat, st.method, scale, st.consistency)}</div>
+    <div style="height:10px"></div>
+
+    <div class="matrixLayout">
+      <div id="critPairs"></div>
+      <div>
+        ${matrixHeatmap("hm_crit", fuzzyOn ? "Criteria matrix, modal values" : "Criteria matrix")}
+        ${gridToggleHTML("critGrid", groupLabels, groupMat)}
+        <div style="display:flex; gap:10px; margin-top:10px;">
+          <button type="button" class="btn inline" id="crit_reset">Reset criteria</button>
+        </div>
+      </div>
+    </div>
+    <div id="critRepair" style="margin-top:10px;">${repairHTML("critRepair", critRepairKey, groupLabels, groupMat, st)}</div>
+
+    <div class="divider"></div>
+
+    <div id="altSection">${rated ? (st.respondent ? "" : ratingsSectionHTML(st, leaf)) : `
+      <div class="panelTitle">Alternatives by criterion, ${escapeHtml(critPath(st, leaf.id))}</div>
+      <div class="small muted">${crBadge(altSolve, st.consistency)}</div>
+      <div id="altDiag">${diagnosisHTML(st.alternatives, altMat, st.method, scale, st.consistency)}</div>
+      <div style="height:10px"></div>
+
+      <div class="matrixLayout">
+        <div id="altPairs"></div>
+        <div>
+          ${matrixHeatmap("hm_alt", fuzzyOn ? "Alternatives matrix, modal values" : "Alternatives matrix")}
+          ${gridToggleHTML("altGrid", st.alternatives, altMat)}
+          <div style="display:flex; gap:10px; margin-top:10px;">
+            <button type="button" class="btn inline" id="alt_reset">Reset this matrix</button>
+          </div>
+        </div>
+      </div>
+      <div id="altRepair" style="margin-top:10px;">${repairHTML("altRepair", altRepairKey, st.alternatives, altMat, st)}</div>
+    `}</div>
+
+    ${anpOn(st) && !st.respondent ? `
+      <div class="divider"></div>
+      <div id="network">${networkSectionHTML(st)}</div>
+    ` : ""}
+  `;
+
+  const updateGroup = (B)=>{
+    setGroupMatrix(js, group.id, B);
+    saveState(st);
+    renderMatricesPage(st);
+    setStatus(st);
+  };
+
+  const updateAlt = (B)=>{
+    js.altMatrices[leaf.id] = B;
+    saveState(st);
+    renderMatricesPage(st);
+    setStatus(st);
+  };
+
+  const pairsHTML = fuzzyOn ? fuzzyPairwiseHTML : pairwiseHTML;
+  const bindPairs = fuzzyOn ? bindFuzzyPairwise : bindPairwise;
+
+  const critPairsEl = document.getElementById("critPairs");
+  critPairsEl.innerHTML = pairsHTML(groupLabels, groupMat, scale);
+  bindPairs(critPairsEl, groupMat, updateGroup, scale);
+  bindDiagnosis(document.getElementById("critDiag"), groupMat, updateGroup, scale);
+  bindGridToggle("critGrid", "hm_crit", groupLabels, groupMat, updateGroup);
+  bindRepair(document.getElementById("critRepair"), critRepairKey, groupLabels, groupMat, st, updateGroup);
+
+  if(!rated){
+    const altPairsEl = document.getElementById("altPairs");
+    altPairsEl.innerHTML = pairsHTML(st.alternatives, altMat, scale);
+    bindPairs(altPairsEl, altMat, updateAlt, scale);
+    bindDiagnosis(document.getElementById("altDiag"), altMat, updateAlt, scale);
+    bindGridToggle("altGrid", "hm_alt", st.alternatives, altMat, updateAlt);
+    bindRepair(document.getElementById("altRepair"), altRepairKey, st.alternatives, altMat, st, updateAlt);
+  }else if(!st.respondent){
+    bindRatingsSection(document.getElementById("altSection"), st, leaf, (structural)=>{
+      saveState(st);
+      if(!structural) return;
+      renderMatricesPage(st);
+      setStatus(st);
+    });
+  }
+
+  const networkEl = document.getElementById("network");
+  if(networkEl){
+    bindNetworkSection(networkEl, st, ()=>{
+      saveState(st);
+      renderMatricesPage(st);
+    });
+  }
+
+  // tree navigation: the goal and parent criteria select the criteria matrix,
+  // leaves select the alternatives matrix (or the ratings, hidden from respondents)
+  const tabs = document.getElementById("critTabs");
+  tabs.innerHTML = "";
+  const addTab = (label, depth, active, mark, onClick)=>{
+    const b = document.createElement("button");
+    b.type = "button";
+    b.className = "tabBtn" + (active ? " active" : "");
+    b.style.marginLeft = `${depth * 22}px`;
+    if(mark.symbol){
+      const m = document.createElement("span");
+      m.className = `tabMark ${mark.level}`;
+      m.textContent = mark.symbol;
+      b.appendChild(m);
+    }
+    b.appendChild(document.createTextNode(label));
+    b.addEventListener("click", ()=>{
+      onClick();
+      saveState(st);
+      renderMatricesPage(st);
+      setStatus(st);
+    });
+    tabs.appendChild(b);
+  };
+
+  addTab("Goal", 0, group.id === null, markOf("group", null), ()=>{ st.activeGroupId = null; });
+  walkCriteria(st.criteria, (node, depth)=>{
+    if(node.children.length){
+      addTab(`${node.name} (${node.children.length})`, depth + 1, group.id === node.id, markOf("group", node.id), ()=>{ st.activeGroupId = node.id; });
+    }else if(!(rated && st.respondent)){
+      const i = leaves.indexOf(node);
+      addTab(node.name, depth + 1, i === activeIdx, markOf("leaf", node.id), ()=>{ st.activeCritIdx = i; });
+    }
+  });
+
+  bindCompletion(document.getElementById("completion"), st, rows, ()=>{
+    saveState(st);
+    renderMatricesPage(st);
+    setStatus(st);
+  });
+
+  bindMatricesHead(st, js);
+
+  document.getElementById("crit_reset").addEventListener("click", ()=>{
+    setGroupMatrix(js, group.id, blankMatrix(group.children.length));
+    saveState(st);
+    renderMatricesPage(st);
+    setStatus(st);
+  });
+
+  const altReset = document.getElementById("alt_reset");
+  if(altReset){
+    altReset.addEventListener("click", ()=>{
+      js.altMatrices[leaf.id] = blankMatrix(st.alternatives.length);
+      saveState(st);
+      renderMatricesPage(st);
+      setStatus(st);
+    });
+  }
+
+  setTimeout(()=>{
+    drawMatrixHeatmap("hm_crit", groupLabels, groupMat);
+    if(!rated) drawMatrixHeatmap("hm_alt", st.alternatives, altMat);
+    else if(!st.respondent) drawMatrixHeatmap("hm_grade", st.ratings.scales[leaf.id].grades, st.ratings.scales[leaf.id].matrix);
+    if(networkEl){
+      const link = st.anp.links[st.activeLink] || st.anp.links[0];
+      if(link && link.nodes.length > 1) drawMatrixHeatmap("hm_link", linkLabels(st, link), link.matrix);
+    }
+  }, 0);
+}
+
+
+// completion: every matrix of every judgment set, whether it has enough answers and passes
+// the consistency index; results wait until all do, unless the user goes on anyway
+const MATRIX_STATUS = {
+  complete: "Complete",
+  answered: "Enough answers",
+  partial: "Partly answered",
+  untouched: "Untouched"
+};
+
+function matrixState(A){
+  const comp = matrixCompletion(A);
+  if(comp.answered === comp.total) return "complete";
+  if(comp.connected) return "answered";
+  return comp.answered ? "partial" : "untouched";
+}
+
+function completionRows(st){
+  const list = st.participants || [];
+  const sets = list.length ? list : [st];
+  const rows = [];
+  const push = (set, m, status)=>{
+    const r = ahpSolve(m.A, st.method);
+    const checked = m.A.length >= 3 && status !== "untouched";
+    const consistent = !checked || isConsistent(r, st.consistency);
+    rows.push({
+      set,
+      participant: list.length ? sets[set].name : null,
+      kind: m.kind,
+      id: m.id,
+      title: m.title,
+      status,
+      value: checked ? consistencyValue(r, st.consistency) : null,
+      consistent,
+      ready: (status === "complete" || status === "answered") && consistent
+    });
+  };
+  sets.forEach((js, k)=>{
+    judgmentMatrices(st, js).forEach(m => push(k, m, matrixState(m.A)));
+  });
+  // the author's ratings, one row per leaf with the grade matrix behind it
+  if(ratingsOn(st) && !st.respondent){
+    gradeMatrices(st).forEach(m=>{
+      const unrated = st.ratings.values[m.id].filter(g => g === null).length;
+      let status = unrated ? (unrated === st.alternatives.length ? "untouched" : "partial") : "complete";
+      if(status === "complete" && !matrixCompletion(m.A).connected) status = "partial";
+      push(null, m, status);
+    });
+  }
+  return rows;
+}
+
+function statusMark(row){
+  if(!row) return { symbol: "", level: "" };
+  if(row.ready) return { symbol: "✓", level: "good" };
+  if(!row.consistent) return { symbol: "!", level: "warn" };
+  return { symbol: row.status === "untouched" ? "○" : "◐", level: "mid" };
+}
+
+function completionHTML(st, rows){
+  const ready = rows.filter(r => r.ready).length;
+  const short = CONSISTENCY_INDICES[st.consistency.index].short;
+  const kindLabel = { group: "Criteria", alt: "Alternatives", grade: "Ratings" };
+  return `
+    <div class="panelTitle">Completion</div>
+    <div class="small muted">
+      ${ready} of ${rows.length} matrices ready${ready === rows.length ? ", results can be shown." : `; results wait until every matrix has enough answers and ${short} within its threshold.`}
+    </div>
+    <div style="height:8px"></div>
+    <div class="tableScroll">
+      <table>
+        <thead><tr>${st.participants.length ? "<th>Participant</th>" : ""}<th>Matrix</th><th>Status</th><th>${escapeHtml(short)}</th><th></th></tr></thead>
+        <tbody>
+          ${rows.map((r, k)=>{
+            const mark = statusMark(r);
+            return `
+              <tr>
+                ${st.participants.length ? `<td>${r.participant === null ? "" : escapeHtml(r.participant)}</td>` : ""}
+                <td><span class="tabMark ${mark.level}">${mark.symbol}</span> ${escapeHtml(kindLabel[r.kind])}, ${escapeHtml(r.title)}</td>
+                <td>${escapeHtml(MATRIX_STATUS[r.status])}</td>
+                <td>${r.value === null ? "" : `<span class="badge ${r.consistent ? "good" : "warn"}">${r.value.toFixed(3)}</span>`}</td>
+                <td><button type="button" class="btn inline" data-row="${k}">Open</button></td>
+              </tr>
+            `;
+          }).join("")}
+        </tbody>
+      </table>
+    </div>
+    <div class="divider"></div>
+  `;
+}
+
+function bindCompletion(rootEl, st, rows, onChange){
+  rootEl.querySelectorAll("button[data-row]").forEach(btn=>{
+    btn.addEventListener("click", ()=>{
+      const r = rows[Number(btn.dataset.row)];
+      if(r.set !== null) st.activeParticipant = r.set;
+      if(r.kind === "group") st.activeGroupId = r.id;
+      else st.activeCritIdx = leafCriteria(st).findIndex(leaf => leaf.id === r.id);
+      // the questionnaire jumps to the first question of the matrix, ratings are not part of it
+      if(st.wizard.enabled && r.kind === "grade") st.wizard.enabled = false;
+      else if(st.wizard.enabled) st.wizard.step = wizardMatrixStep(st, judgments(st), r.kind, r.id);
+      onChange();
+    });
+  });
+}
+
+// true when results may be shown: every matrix ready, or the user confirms going on
+function completionGate(st){
+  const open = completionRows(st).filter(r => !r.ready);
+  if(!open.length) return true;
+  const lines = open.slice(0, 8).map(r=>{
+    const why = r.consistent ? MATRIX_STATUS[r.status].toLowerCase() : `${CONSISTENCY_INDICES[st.consistency.index].short} ${r.value.toFixed(3)}`;
+    return `- ${r.participant ? `${r.participant}: ` : ""}${r.title} (${why})`;
+  });
+  if(open.length > lines.length) lines.push(`- and ${open.length - lines.length} more`);
+  return confirm(`${open.length} ${open.length === 1 ? "matrix is" : "matrices are"} not ready:\n${lines.join("\n")}\n\nGo on with the judgments as they are?`);
+}
+
+// guided questionnaire: one comparison at a time, written into the same matrices
+const WIZARD_ORDERS = {
+  optimized: "Balanced, spread the elements",
+  random: "Random",
+  matrix: "Matrix order"
+};
+
+const VERBAL_TERMS = { 3: "moderately", 5: "strongly", 7: "very strongly", 9: "extremely" };
+
+function defaultWizard(){
+  return { enabled: false, order: "optimized", step: 0, seed: 1 };
+}
+
+// pairs [a, b] asking about a against b; the balanced order first links every element
+// so weights exist early, then avoids reusing the elements of the previous question
+function questionOrder(n, order, rand){
+  const pairs = [];
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++) pairs.push([i, j]);
+  }
+  if(order === "matrix") return pairs;
+
+  if(order === "random"){
+    for(let k=pairs.length-1;k>0;k--){
+      const r = Math.floor(rand() * (k + 1));
+      [pairs[k], pairs[r]] = [pairs[r], pairs[k]];
+    }
+    return pairs.map(p => rand() < 0.5 ? p : [p[1], p[0]]);
+  }
+
+  const comp = Array.from({ length: n }, (_, i) => i);
+  const find = (x)=> comp[x] === x ? x : (comp[x] = find(comp[x]));
+  const used = Array(n).fill(0);
+  const out = [];
+  let prev = [];
+  const left = pairs.slice();
+  while(left.length){
+    let best = 0;
+    let bestScore = Infinity;
+    left.forEach(([i, j], k)=>{
+      const score = (find(i) === find(j) ? 1000 : 0)
+        + (prev.includes(i) || prev.includes(j) ? 100 : 0)
+        + used[i] + used[j] + rand() * 0.5;
+      if(score < bestScore){
+        bestScore = score;
+        best = k;
+      }
+    });
+    const [pair] = left.splice(best, 1);
+    comp[find(pair[0])] = find(pair[1]);
+    used[pair[0]]++;
+    used[pair[1]]++;
+    prev = pair;
+    out.push(out.length % 2 ? [pair[1], pair[0]] : pair);
+  }
+  return out;
+}
+
+// every question of every matrix, each matrix followed by a review step
+function wizardSteps(st, js){
+  const steps = [];
+  judgmentMatrices(st, js).forEach((m, mi)=>{
+    const rand = mulberry32(st.wizard.seed * 7919 + mi);
+    questionOrder(m.labels.length, st.wizard.order, rand).forEach(([a, b])=>{
+      steps.push({ m: mi, a, b });
+    });
+    steps.push({ m: mi, review: true });
+  });
+  return steps;
+}
+
+function wizardMatrixStep(st, js, kind, id){
+  const mi = judgmentMatrices(st, js).findIndex(m => m.kind === kind && m.id === id);
+  return Math.max(0, wizardSteps(st, js).findIndex(s => s.m === mi));
+}
+
+function wizardQuestion(st, m, a, b){
+  const x = `<b>${escapeHtml(m.labels[a])}</b>`;
+  const y = `<b>${escapeHtml(m.labels[b])}</b>`;
+  if(m.kind === "alt"){
+    return `With respect to <b>${escapeHtml(m.title)}</b>, how much more preferable is ${x} than ${y}?`;
+  }
+  const target = m.id === null ? st.problem.goal : findCriterion(st, m.id).name;
+  return `How much more important is ${x} than ${y} for <b>${escapeHtml(target)}</b>?`;
+}
+
+function wizardOptionsHTML(m, a, b, scale){
+  const cur = isAnswered(m.A[a][b]) ? sliderFromJudgment(m.A[a][b], scale) : null;
+  const more = m.kind === "alt" ? "preferable" : "important";
+  const opts = [9, 7, 5, 3].map(v => [v, `${m.labels[a]} ${VERBAL_TERMS[v]} more ${more}`])
+    .concat([[1, `Equally ${more}`]])
+    .concat([3, 5, 7, 9].map(v => [-v, `${m.labels[b]} ${VERBAL_TERMS[v]} more ${more}`]));
+  const between = cur !== null && cur !== 1 && Math.abs(cur) % 2 === 0;
+  return `
+    <div class="wizOptions">
+      ${opts.map(([v, text])=>`<button type="button" class="btn wizOpt${v === cur ? " active" : ""}" data-v="${v}">${escapeHtml(text)}</button>`).join("")}
+    </div>
+    ${between ? `<div class="small muted">Current answer lies between two terms, ${escapeHtml(sliderLabel(cur, scale))}.</div>` : ""}
+  `;
+}
+
+// markOf(m) gives the completion mark shown on the tab of each matrix
+function renderWizard(rootEl, st, js, markOf, onChange){
+  const scale = scaleValues(st);
+  const matrices = judgmentMatrices(st, js);
+  const steps = wizardSteps(st, js);
+  if(st.wizard.step < 0 || st.wizard.step >= steps.length) st.wizard.step = 0;
+  const step = steps[st.wizard.step];
+  const m = matrices[step.m];
+
+  const answered = matrices.reduce((a, x) => a + matrixCompletion(x.A).answered, 0);
+  const total = matrices.reduce((a, x) => a + matrixCompletion(x.A).total, 0);
+  const pct = total ? 100 * answered / total : 100;
+
+  let body;
+  if(step.review){
+    const solve = ahpSolve(m.A);
+    const comp = matrixCompletion(m.A);
+    body = `
+      <div class="panelTitle">${escapeHtml(m.title)}, finished</div>
+      <div class="small muted">${crBadge(solve, st.consistency)}</div>
+      <div style="height:8px"></div>
+      <div class="small muted">
+        ${comp.answered} of ${comp.total} comparisons answered.
+        ${comp.connected ? "" : " Some elements are not compared yet, go back to answer the missing questions."}
+      </div>
+      <div id="wizDiag">${diagnosisHTML(m.labels, m.A, st.method, scale, st.consistency)}</div>
+      <div style="height:10px"></div>
+      ${matrixHeatmap("hm_wiz", m.kind === "alt" ? "Alternatives matrix" : "Criteria matrix")}
+      <div id="wizRepair" style="margin-top:10px;">${repairHTML("wizRepair", `wiz:${m.kind}:${m.id}`, m.labels, m.A, st)}</div>
+    `;
+  }else{
+    body = `
+      <div class="small muted">${escapeHtml(m.title)}</div>
+      <div style="height:6px"></div>
+      <div class="wizQuestion">${wizardQuestion(st, m, step.a, step.b)}</div>
+      <div style="height:12px"></div>
+      ${wizardOptionsHTML(m, step.a, step.b, scale)}
+    `;
+  }
+
+  rootEl.innerHTML = `
+    <div class="tabs" id="wizTabs">
+      ${matrices.map((x, k)=>{
+        const mark = markOf(x);
+        return `<button type="button" class="tabBtn${k === step.m ? " active" : ""}" data-m="${k}">${mark.symbol ? `<span class="tabMark ${mark.level}">${mark.symbol}</span>` : ""}${escapeHtml(x.title)}</button>`;
+      }).join("")}
+    </div>
+    <div style="height:10px"></div>
+    <div class="kv">
+      <div class="progress"><div class="progressBar" style="width:${pct.toFixed(1)}%"></div></div>
+      <div class="small muted">${answered} of ${total} answered</div>
+    </div>
+    <div style="height:14px"></div>
+    ${body}
+    <div style="height:14px"></div>
+    <div class="kv">
+      <button type="button" class="btn inline" id="wiz_back"${st.wizard.step === 0 ? " disabled" : ""}>Back</button>
+      ${step.review ? "" : `<button type="button" class="btn inline" id="wiz_clear">${isAnswered(m.A[step.a][step.b]) ? "Clear answer" : "Skip"}</button>`}
+      <button type="button" class="btn inline" id="wiz_next"${st.wizard.step === steps.length - 1 ? " disabled" : ""}>Next</button>
+      <span class="small muted">Step ${st.wizard.step + 1} of ${steps.length}</span>
+    </div>
+  `;
+
+  const go = (delta)=>{
+    st.wizard.step = clamp(st.wizard.step + delta, 0, steps.length - 1);
+    onChange();
+  };
+
+  document.getElementById("wiz_back").addEventListener("click", ()=> go(-1));
+  document.getElementById("wiz_next").addEventListener("click", ()=> go(1));
+  rootEl.querySelectorAll("#wizTabs button").forEach(btn=>{
+    btn.addEventListener("click", ()=>{
+      st.wizard.step = steps.findIndex(x => x.m === Number(btn.dataset.m));
+      onChange();
+    });
+  });
+
+  if(step.review){
+    const update = (B)=>{
+      m.set(B);
+      onChange();
+    };
+    bindDiagnosis(document.getElementById("wizDiag"), m.A, update, scale);
+    bindRepair(document.getElementById("wizRepair"), `wiz:${m.kind}:${m.id}`, m.labels, m.A, st, update);
+    setTimeout(()=> drawMatrixHeatmap("hm_wiz", m.labels, m.A), 0);
+    return;
+  }
+
+  document.getElementById("wiz_clear").addEventListener("click", ()=>{
+    if(isAnswered(m.A[step.a][step.b])){
+      const B = cloneMatrix(m.A);
+      B[step.a][step.b] = null;
+      B[step.b][step.a] = null;
+      m.set(B);
+      onChange();
+      return;
+    }
+    go(1);
+  });
+
+  rootEl.querySelectorAll(".wizOpt").forEach(btn=>{
+    btn.addEventListener("click", ()=>{
+      m.set(setPairwise(m.A, step.a, step.b, judgmentFromSlider(Number(btn.dataset.v), scale)));
+      go(1);
+    });
+  });
+}
+
+// fuzzy AHP: a judgment is the triangular number (l, m, u) of the linguistic term at its
+// intensity, the matrices keep the modal value m so the crisp tools still apply
+const FUZZY_METHODS = {
+  buckley: "Buckley geometric mean",
+  chang: "Chang extent analysis"
+};
+
+const FUZZY_TERMS = {
+  1: "Equally important",
+  2: "Equal to weakly more",
+  3: "Weakly more important",
+  4: "Weakly to strongly more",
+  5: "Strongly more important",
+  6: "Strongly to very strongly more",
+  7: "Very strongly more important",
+  8: "Very strongly to absolutely more",
+  9: "Absolutely more important"
+};
+
+function defaultFuzzy(){
+  return { enabled: false, method: "buckley" };
+}
+
+// neighbouring intensities give the spread, scaled to the actual value
+function fuzzyJudgment(a, scale=SAATY_VALUES){
+  if(a < 1){
+    const t = fuzzyJudgment(1 / a, scale);
+    return [1 / t[2], 1 / t[1], 1 / t[0]];
+  }
+  const x = sliderFromJudgment(a, scale);
+  if(x === 1) return [a, a, a];
+  const mid = scale[x - 1];
+  return [a * scale[x - 2] / mid, a, a * scale[Math.min(x, 8)] / mid];
+}
+
+// unanswered entries are filled with crisp ratios of the eigenvector weights
+function fuzzyMatrix(A, scale){
+  const B = isComplete(A) ? A : completeMatrix(A, ahpSolve(A).weights);
+  return B.map((row, i) => row.map((v, j)=>{
+    if(i === j) return [1, 1, 1];
+    return isAnswered(A[i][j]) ? fuzzyJudgment(v, scale) : [v, v, v];
+  }));
+}
+
+function buckleyWeights(F){
+  const n = F.length;
+  const r = F.map(row => [0, 1, 2].map(c => Math.exp(row.reduce((a, t) => a + Math.log(t[c]), 0) / n)));
+  const sum = [0, 1, 2].map(c => r.reduce((a, t) => a + t[c], 0));
+  return r.map(t => [t[0] / sum[2], t[1] / sum[1], t[2] / sum[0]]);
+}
+
+function changWeights(F){
+  const rows = F.map(row => [0, 1, 2].map(c => row.reduce((a, t) => a + t[c], 0)));
+  const total = [0, 1, 2].map(c => rows.reduce((a, t) => a + t[c], 0));
+  return rows.map(t => [t[0] / total[2], t[1] / total[1], t[2] / total[0]]);
+}
+
+// degree of possibility V(M2 >= M1)
+function possibility(m2, m1){
+  if(m2[1] >= m1[1]) return 1;
+  if(m1[0] >= m2[2]) return 0;
+  return (m1[0] - m2[2]) / ((m2[1] - m2[2]) - (m1[1] - m1[0]));
+}
+
+function fuzzySolve(A, method, scale){
+  const F = fuzzyMatrix(A, scale);
+  const n = F.length;
+  let fuzzyWeights;
+  let weights;
+  if(method === "chang"){
+    fuzzyWeights = changWeights(F);
+    const d = fuzzyWeights.map((si, i)=>
+      Math.min(1, ...fuzzyWeights.filter((_, k) => k !== i).map(sk => possibility(si, sk)))
+    );
+    const sum = d.reduce((a,b)=>a+b,0);
+    weights = sum > 0 ? d.map(x => x / sum) : Array(n).fill(1 / n);
+  }else{
+    fuzzyWeights = buckleyWeights(F);
+    weights = normalizeVector(fuzzyWeights.map(t => (t[0] + t[1] + t[2]) / 3));
+  }
+  const crisp = ahpSolve(A);
+  return { weights, fuzzyWeights, lambdaMax: crisp.lambdaMax, ci: crisp.ci, cr: crisp.cr, gci: crisp.gci, koczkodaj: crisp.koczkodaj, method, complete: crisp.complete };
+}
+
+function fuzzyProduct(a, b){
+  return [a[0] * b[0], a[1] * b[1], a[2] * b[2]];
+}
+
+function formatFuzzy(t, digits=4){
+  return `(${t.map(x => x.toFixed(digits)).join(", ")})`;
+}
+
+// ratings (absolute) mode: each leaf criterion has intensity grades compared pairwise once,
+// alternatives are rated on a grade instead of compared with each other
+const EVALUATION_MODES = {
+  pairwise: "Pairwise comparisons",
+  ratings: "Ratings on intensity grades"
+};
+const DEFAULT_GRADES = ["Excellent", "Good", "Fair", "Poor"];
+
+function defaultRatings(){
+  return { enabled: false, scales: {}, values: {} };
+}
+
+// each grade twice as important as the next one down
+function defaultGradeScale(){
+  const v = DEFAULT_GRADES.map((_, k) => 2 ** (DEFAULT_GRADES.length - 1 - k));
+  return { grades: DEFAULT_GRADES.slice(), matrix: v.map(a => v.map(b => a / b)) };
+}
+
+// one grade scale and one rating per alternative for every leaf, nothing for other nodes
+function fitRatings(st){
+  const r = st.ratings && typeof st.ratings === "object" ? st.ratings : defaultRatings();
+  const nA = st.alternatives.length;
+  const scales = {};
+  const values = {};
+  leafCriteria(st).forEach(leaf=>{
+    const sc = r.scales && r.scales[leaf.id];
+    const fits = sc && Array.isArray(sc.grades) && sc.grades.length >= 2 && sc.grades.every(g => typeof g === "string") && isSquare(sc.matrix, sc.grades.length);
+    scales[leaf.id] = fits ? sc : defaultGradeScale();
+    const n = scales[leaf.id].grades.length;
+    const old = (r.values && Array.isArray(r.values[leaf.id])) ? r.values[leaf.id] : [];
+    values[leaf.id] = st.alternatives.map((_, i) => (Number.isInteger(old[i]) && old[i] >= 0 && old[i] < n) ? old[i] : null);
+  });
+  st.ratings = { enabled: r.enabled === true, scales, values };
+  return st.ratings;
+}
+
+function ratingsOn(st){
+  return !!(st.ratings && st.ratings.enabled);
+}
+
+// ratings follow their alternatives like the matrices do
+function reshapeRatings(st, before, altFrom){
+  if(!st.ratings) return;
+  const values = st.ratings.values || {};
+  leafCriteria(st).forEach(leaf=>{
+    if(!before.leaves.has(leaf.id) || !Array.isArray(values[leaf.id])) return;
+    const old = values[leaf.id];
+    values[leaf.id] = altFrom.map(k => k >= 0 ? (old[k] ?? null) : null);
+  });
+  fitRatings(st);
+}
+
+// grades removed, added or moved: the matrix follows, ratings on a removed grade are cleared
+function reshapeGrades(st, leafId, grades, from){
+  const sc = st.ratings.scales[leafId];
+  sc.matrix = remapMatrix(sc.matrix, from);
+  sc.grades = grades;
+  st.ratings.values[leafId] = st.ratings.values[leafId].map(g => (g === null ? -1 : from.indexOf(g))).map(k => k >= 0 ? k : null);
+}
+
+// the grade matrices, listed like judgmentMatrices
+function gradeMatrices(st){
+  return leafCriteria(st).map(leaf=>{
+    const sc = st.ratings.scales[leaf.id];
+    return {
+      kind: "grade",
+      id: leaf.id,
+      title: critPath(st, leaf.id),
+      labels: sc.grades,
+      A: sc.matrix,
+      set: B => { sc.matrix = B; }
+    };
+  });
+}
+
+// grade priorities and their idealized values (divided by the best grade); an
+// alternative's priority is the idealized value of its grade, 0 while unrated
+function ratingSolve(st, leafId){
+  const sc = st.ratings.scales[leafId];
+  const r = solveMatrix(st, sc.matrix);
+  const max = Math.max(...r.weights);
+  const ideal = r.weights.map(w => w / max);
+  const rated = st.ratings.values[leafId];
+  const out = { ...r, grades: r.weights, ideal, weights: rated.map(g => g === null ? 0 : ideal[g]) };
+  if(r.fuzzyWeights){
+    out.gradeFuzzyWeights = r.fuzzyWeights;
+    out.fuzzyWeights = rated.map(g => g === null ? [0, 0, 0] : r.fuzzyWeights[g].map(x => x / max));
+  }
+  return out;
+}
+
+// [alternative, leaf] pairs still without a grade
+function unratedPairs(st){
+  const out = [];
+  leafCriteria(st).forEach(leaf=>{
+    st.ratings.values[leaf.id].forEach((g, i)=>{
+      if(g === null) out.push([st.alternatives[i], critPath(st, leaf.id)]);
+    });
+  });
+  return out;
+}
+
+// grade of every alternative per leaf criterion
+function ratingsTable(st){
+  const leaves = leafCriteria(st);
+  let html = `<table><thead><tr><th>Alternative</th>${leaves.map(leaf => `<th>${escapeHtml(leaf.name)}</th>`).join("")}</tr></thead><tbody>`;
+  st.alternatives.forEach((name, i)=>{
+    html += `<tr><td>${escapeHtml(name)}</td>${leaves.map(leaf=>{
+      const g = st.ratings.values[leaf.id][i];
+      return `<td>${g === null ? "" : escapeHtml(st.ratings.scales[leaf.id].grades[g])}</td>`;
+    }).join("")}</tr>`;
+  });
+  return html + `</tbody></table>`;
+}
+
+function ratingsSectionHTML(st, leaf){
+  const sc = st.ratings.scales[leaf.id];
+  const r = ratingSolve(st, leaf.id);
+  const rated = st.ratings.values[leaf.id];
+  return `
+    <div class="panelTitle">Ratings, ${escapeHtml(critPath(st, leaf.id))}</div>
+    <div class="small muted">Grades ${crBadge(r, st.consistency)}</div>
+    <div style="height:10px"></div>
+
+    <div class="row">
+      <div>
+        <div class="panelTitle">Grades</div>
+        <div id="grade_list"></div>
+        <button type="button" class="btn inline" id="grade_add">Add grade</button>
+        <div style="height:10px"></div>
+        <table>
+          <thead><tr><th>Grade</th><th>Priority</th><th>Idealized</th></tr></thead>
+          <tbody>
+            ${sc.grades.map((g, k)=>`<tr><td>${escapeHtml(g)}</td><td>${r.grades[k].toFixed(4)}</td><td>${r.ideal[k].toFixed(4)}</td></tr>`).join("")}
+          </tbody>
+        </table>
+      </div>
+
+      <div>
+        <div class="panelTitle">Alternatives</div>
+        <table>
+          <thead><tr><th>Alternative</th><th>Grade</th><th>Priority</th></tr></thead>
+          <tbody>
+            ${st.alternatives.map((a, i)=>`
+              <tr>
+                <td>${escapeHtml(a)}</td>
+                <td>
+                  <select data-alt="${i}">
+                    <option value=""${rated[i] === null ? " selected" : ""}>Not rated</option>
+                    ${sc.grades.map((g, k)=>`<option value="${k}"${rated[i] === k ? " selected" : ""}>${escapeHtml(g)}</option>`).join("")}
+                  </select>
+                </td>
+                <td>${rated[i] === null ? "" : r.weights[i].toFixed(4)}</td>
+              </tr>
+            `).join("")}
+          </tbody>
+        </table>
+      </div>
+    </div>
+
+    <div style="height:10px"></div>
+    <div class="matrixLayout">
+      <div id="gradePairs"></div>
+      <div>
+        ${matrixHeatmap("hm_grade", "Grades matrix")}
+        <div style="display:flex; gap:10px; margin-top:10px;">
+          <button type="button" class="btn inline" id="grade_reset">Default grades</button>
+        </div>
+      </div>
+    </div>
+    <div id="gradeRepair" style="margin-top:10px;">${repairHTML("gradeRepair", `grade:${leaf.id}`, sc.grades, sc.matrix, st)}</div>
+  `;
+}
+
+function bindRatingsSection(rootEl, st, leaf, onChange){
+  const sc = st.ratings.scales[leaf.id];
+  const scale = scaleValues(st);
+
+  renderEditableList("grade_list", () => st.ratings.scales[leaf.id].grades, (arr, from)=>{
+    if(from) reshapeGrades(st, leaf.id, arr, from);
+    else st.ratings.scales[leaf.id].grades = arr;
+    onChange(!!from);
+  }, 2);
+
+  rootEl.querySelector("#grade_add").addEventListener("click", ()=>{
+    const from = sc.grades.map((_, k) => k).concat([-1]);
+    reshapeGrades(st, leaf.id, sc.grades.concat([`Grade ${sc.grades.length + 1}`]), from);
+    onChange(true);
+  });
+
+  rootEl.querySelector("#grade_reset").addEventListener("click", ()=>{
+    if(!confirm("Replace the grades of this criterion with the default ones? Ratings on it are cleared.")) return;
+    st.ratings.scales[leaf.id] = defaultGradeScale();
+    st.ratings.values[leaf.id] = st.alternatives.map(() => null);
+    onChange(true);
+  });
+
+  rootEl.querySelectorAll("select[data-alt]").forEach(sel=>{
+    sel.addEventListener("change", ()=>{
+      st.ratings.values[leaf.id][Number(sel.dataset.alt)] = sel.value === "" ? null : Number(sel.value);
+      onChange(true);
+    });
+  });
+
+  const pairsEl = rootEl.querySelector("#gradePairs");
+  const update = (B)=>{
+    sc.matrix = B;
+    onChange(true);
+  };
+  if(st.fuzzy.enabled){
+    pairsEl.innerHTML = fuzzyPairwiseHTML(sc.grades, sc.matrix, scale);
+    bindFuzzyPairwise(pairsEl, sc.matrix, update, scale);
+  }else{
+    pairsEl.innerHTML = pairwiseHTML(sc.grades, sc.matrix, scale);
+    bindPairwise(pairsEl, sc.matrix, update, scale);
+  }
+  bindRepair(rootEl.querySelector("#gradeRepair"), `grade:${leaf.id}`, sc.grades, sc.matrix, st, update);
+}
+
+// group aggregation
+const AGGREGATION_MODES = {
+  judgments: "Aggregation of individual judgments (AIJ)",
+  priorities: "Aggregation of individual priorities (AIP)"
+};
+
+const AGGREGATION_MEANS = {
+  geometric: "Weighted geometric mean",
+  arithmetic: "Weighted arithmetic mean"
+};
+
+function participantWeights(list){
+  const raw = list.map(p => (Number(p.weight) > 0 ? Number(p.weight) : 1));
+  const sum = raw.reduce((a,b)=>a+b,0);
+  return raw.map(x => x / sum);
+}
+
+// element-wise weighted geometric mean, keeps reciprocity;
+// an entry nobody answered stays unanswered
+function aggregateMatrices(mats, weights){
+  const n = mats[0].length;
+  return Array.from({ length: n }, (_, i) =>
+    Array.from({ length: n }, (_, j)=>{
+      let logSum = 0;
+      let wSum = 0;
+      mats.forEach((A, k)=>{
+        if(!isAnswered(A[i][j])) return;
+        logSum += weights[k] * Math.log(A[i][j]);
+        wSum += weights[k];
+      });
+      return wSum ? Math.exp(logSum / wSum) : null;
+    })
+  );
+}
+
+// one judgment set for the whole group, the element-wise weighted geometric mean
+function groupJudgments(st){
+  const list = st.participants;
+  if(!list.length) return st;
+  const weights = participantWeights(list);
+  const merge = (pick)=> aggregateMatrices(list.map(pick), weights);
+  const js = { criteriaMatrix: merge(p => p.criteriaMatrix), nodeMatrices: {}, altMatrices: {} };
+  parentCriteria(st).forEach(node=>{ js.nodeMatrices[node.id] = merge(p => p.nodeMatrices[node.id]); });
+  leafCriteria(st).forEach(node=>{ js.altMatrices[node.id] = merge(p => p.altMatrices[node.id]); });
+  return js;
+}
+
+function aggregateSolves(solves, weights, mean){
+  const n = solves[0].weights.length;
+  let w = Array.from({ length: n }, (_, i)=>{
+    if(mean === "arithmetic") return solves.reduce((a, r, k) => a + weights[k] * r.weights[i], 0);
+    return Math.exp(solves.reduce((a, r, k) => a + weights[k] * Math.log(r.weights[i]), 0));
+  });
+  const sum = w.reduce((a,b)=>a+b,0);
+  w = w.map(x => x / sum);
+
+  const avg = (key)=> solves.reduce((a, r, k) => a + weights[k] * r[key], 0);
+  const out = { weights: w, lambdaMax: avg("lambdaMax"), ci: avg("ci"), cr: avg("cr"), gci: avg("gci"), koczkodaj: avg("koczkodaj") };
+
+  // fuzzy weights are averaged per component with the same mean
+  if(solves[0].fuzzyWeights){
+    out.fuzzyWeights = Array.from({ length: n }, (_, i) => [0, 1, 2].map(c=>{
+      if(mean === "arithmetic") return solves.reduce((a, r, k) => a + weights[k] * r.fuzzyWeights[i][c], 0);
+      return Math.exp(solves.reduce((a, r, k) => a + weights[k] * Math.log(r.fuzzyWeights[i][c]), 0));
+    }));
+  }
+  return out;
+}
+
+const SYNTHESIS_MODES = {
+  distributive: "Distributive, normalized priorities",
+  ideal: "Ideal, priorities divided by the best"
+};
+
+// solve(pick) returns the ahpSolve result for the matrix that pick selects from a judgment set
+function synthesize(st, solve){
+  const crit = solve(js => js.criteriaMatrix);
+
+  // local weights per group, global weights composed down the tree
+  const groupSolves = {};
+  const nodeWeights = {};
+  const compose = (nodes, res, parentGlobal, parentFuzzy)=>{
+    nodes.forEach((node, i)=>{
+      const local = res.weights[i];
+      const global = parentGlobal * local;
+      nodeWeights[node.id] = { local, global };
+      if(res.fuzzyWeights){
+        nodeWeights[node.id].fuzzyLocal = res.fuzzyWeights[i];
+        nodeWeights[node.id].fuzzyGlobal = fuzzyProduct(parentFuzzy, res.fuzzyWeights[i]);
+      }
+      if(node.children.length){
+        const sub = solve(js => js.nodeMatrices[node.id]);
+        groupSolves[node.id] = sub;
+        compose(node.children, sub, global, nodeWeights[node.id].fuzzyGlobal);
+      }
+    });
+  };
+  compose(st.criteria, crit, 1, [1, 1, 1]);
+
+  const leaves = leafCriteria(st);
+  const leafWeights = leaves.map(node => nodeWeights[node.id].global);
+  const rated = ratingsOn(st);
+  const altSolves = leaves.map(node => rated ? ratingSolve(st, node.id) : solve(js => js.altMatrices[node.id]));
+
+  // ideal mode divides each criterion's priorities by the best one, so adding or removing an
+  // alternative keeps the order of the others unless it changes which one is best under a
+  // criterion; ratings are idealized already
+  const idealize = !rated && st.synthesis === "ideal";
+  const altPriorities = altSolves.map(r=>{
+    if(!idealize) return r.weights;
+    const max = Math.max(...r.weights);
+    return r.weights.map(w => w / max);
+  });
+
+  const m = st.alternatives.length;
+  const n = leaves.length;
+
+  const scores = Array(m).fill(0);
+  for(let i=0;i<m;i++){
+    let s = 0;
+    for(let j=0;j<n;j++) s += leafWeights[j] * altPriorities[j][i];
+    scores[i] = s;
+  }
+
+  const ranking = st.alternatives
+    .map((name,i)=>({ name, index: i, score: scores[i] }))
+    .sort((a,b)=>b.score-a.score);
+
+  const out = { critWeights: crit.weights, critCR: crit.cr, critSolve: crit, nodeWeights, groupSolves, leaves, leafWeights, altSolves, altPriorities, scores, ranking };
+
+  if(crit.fuzzyWeights && altSolves.every(r => r.fuzzyWeights)){
+    // ideal mode scales the triples by the same best priority as the crisp values
+    const altFuzzy = altSolves.map(r=>{
+      if(!idealize) return r.fuzzyWeights;
+      const max = Math.max(...r.weights);
+      return r.fuzzyWeights.map(t => t.map(x => x / max));
+    });
+    out.fuzzyScores = st.alternatives.map((_, i)=>{
+      const t = [0, 0, 0];
+      leaves.forEach((leaf, j)=>{
+        const p = fuzzyProduct(nodeWeights[leaf.id].fuzzyGlobal, altFuzzy[j][i]);
+        for(let c=0;c<3;c++) t[c] += p[c];
+      });
+      return t;
+    });
+  }
+  return out;
+}
+
+// the model's derivation for one matrix: crisp with st.method, or fuzzy
+function solveMatrix(st, A){
+  if(st.fuzzy && st.fuzzy.enabled) return fuzzySolve(A, st.fuzzy.method, scaleValues(st));
+  return ahpSolve(A, st.method);
+}
+
+function computeResults(st){
+  const list = st.participants || [];
+  const solveOne = (A)=> solveMatrix(st, A);
+  if(!list.length) return synthesize(st, pick => solveOne(pick(st)));
+
+  const weights = participantWeights(list);
+  const individual = list.map(p => synthesize(st, pick => solveOne(pick(p))));
+
+  const mode = st.aggregation.mode;
+  const group = (mode === "priorities")
+    ? synthesize(st, pick => aggregateSolves(list.map(p => solveOne(pick(p))), weights, st.aggregation.mean))
+    : synthesize(st, pick => solveOne(aggregateMatrices(list.map(pick), weights)));
+
+  return { ...group, individual, participantWeights: weights };
+}
+
+function weightsTable(labels, weights){
+  return `
+    <table>
+      <thead><tr><th>Item</th><th>Weight</th></tr></thead>
+      <tbody>
+        ${labels.map((x,i)=>`<tr><td>${escapeHtml(x)}</td><td>${Number(weights[i]).toFixed(6)}</td></tr>`).join("")}
+      </tbody>
+    </table>
+  `;
+}
+
+function hierarchyTable(st, res){
+  let html = `<table><thead><tr><th>Criterion</th><th>Local weight</th><th>Global weight</th></tr></thead><tbody>`;
+  walkCriteria(st.criteria, (node, depth)=>{
+    const w = res.nodeWeights[node.id];
+    html += `<tr><td style="padding-left:${10 + depth * 22}px">${escapeHtml(node.name)}</td><td>${w.local.toFixed(6)}</td><td>${w.global.toFixed(6)}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+function participantsTable(st, res){
+  const rankOf = (r, i)=> r.ranking.findIndex(x => x.index === i) + 1;
+  let html = `<table><thead><tr><th>Alternative</th><th>Group</th>`;
+  st.participants.forEach((p, k)=>{
+    html += `<th>${escapeHtml(p.name)} (w ${res.participantWeights[k].toFixed(2)})</th>`;
+  });
+  html += `</tr></thead><tbody>`;
+  res.ranking.forEach(x=>{
+    const i = x.index;
+    html += `<tr><td>${escapeHtml(x.name)}</td><td>${x.score.toFixed(4)} (#${rankOf(res, i)})</td>`;
+    res.individual.forEach(r=>{
+      html += `<td>${r.scores[i].toFixed(4)} (#${rankOf(r, i)})</td>`;
+    });
+    html += `</tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+function methodsTable(st){
+  const fuzzyOn = st.fuzzy.enabled;
+  const runs = Object.keys(PRIORITY_METHODS).map(key => ({
+    label: PRIORITY_METHODS[key].label,
+    active: !fuzzyOn && key === st.method,
+    res: computeResults({ ...st, method: key, fuzzy: { ...st.fuzzy, enabled: false } })
+  }));
+  if(fuzzyOn) runs.push({ label: `Fuzzy, ${FUZZY_METHODS[st.fuzzy.method]}`, active: true, res: computeResults(st) });
+  const current = runs.find(r => r.active).res;
+  const rankOf = (res, i)=> res.ranking.findIndex(x => x.index === i) + 1;
+
+  let html = `<table><thead><tr><th>Item</th>`;
+  runs.forEach(r=>{
+    html += `<th>${escapeHtml(r.label)}${r.active ? " *" : ""}</th>`;
+  });
+  html += `</tr></thead><tbody>`;
+
+  current.leaves.forEach((leaf, j)=>{
+    html += `<tr><td>${escapeHtml(leaf.name)}</td>`;
+    runs.forEach(r=>{ html += `<td>${r.res.leafWeights[j].toFixed(4)}</td>`; });
+    html += `</tr>`;
+  });
+
+  current.ranking.forEach(x=>{
+    const i = x.index;
+    const base = rankOf(current, i);
+    html += `<tr><td><b>${escapeHtml(x.name)}</b></td>`;
+    runs.forEach(r=>{
+      const rank = rankOf(r.res, i);
+      html += `<td${rank !== base ? ` class="changed"` : ""}>${r.res.scores[i].toFixed(4)} (#${rank})</td>`;
+    });
+    html += `</tr>`;
+  });
+
+  html += `</tbody></table>`;
+  return html;
+}
+
+// sensitivity: leaf k gets weight x, the other leaves keep their proportions
+function sensitivityScores(res, k, x){
+  const wk = res.leafWeights[k];
+  const rest = 1 - wk;
+  return res.scores.map((_, i)=>{
+    let s = 0;
+    res.leafWeights.forEach((w, j)=>{
+      const wj = (j === k) ? x : (rest > 0 ? w * (1 - x) / rest : (1 - x) / (res.leafWeights.length - 1));
+      s += wj * res.altPriorities[j][i];
+    });
+    return s;
+  });
+}
+
+// for every leaf, the weight at which the runner-up overtakes the leader;
+// the score gap is linear in x, so there is at most one crossing
+function rankReversalThresholds(st, res){
+  if(res.ranking.length < 2) return [];
+  const first = res.ranking[0].index;
+  const second = res.ranking[1].index;
+  return res.leaves.map((leaf, k)=>{
+    const wk = res.leafWeights[k];
+    const g0 = sensitivityScores(res, k, 0);
+    const g1 = sensitivityScores(res, k, 1);
+    const d0 = g0[first] - g0[second];
+    const d1 = g1[first] - g1[second];
+    let threshold = null;
+    if(d0 !== d1){
+      const x = d0 / (d0 - d1);
+      if(x >= 0 && x <= 1) threshold = x;
+    }
+    return { leaf, weight: wk, threshold, change: threshold === null ? null : threshold - wk };
+  });
+}
+
+function thresholdsTable(st, res){
+  const rows = rankReversalThresholds(st, res);
+  if(!rows.length) return "";
+  let html = `<table><thead><tr><th>Criterion</th><th>Current weight</th><th>Swap at</th><th>Change needed</th></tr></thead><tbody>`;
+  rows.forEach(r=>{
+    html += `<tr><td>${escapeHtml(critPath(st, r.leaf.id))}</td><td>${r.weight.toFixed(4)}</td>`;
+    if(r.threshold === null){
+      html += `<td>never</td><td>robust</td>`;
+    }else{
+      html += `<td>${r.threshold.toFixed(4)}</td><td>${r.change >= 0 ? "+" : ""}${r.change.toFixed(4)}</td>`;
+    }
+    html += `</tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+function drawSensitivity(st, res, k, x){
+  const steps = 50;
+  const lines = st.alternatives.map((name, i)=>({
+    name,
+    points: Array.from({ length: steps + 1 }, (_, t) => [t / steps, sensitivityScores(res, k, t / steps)[i]])
+  }));
+  drawLineChart("chartSens", `Scores vs weight of ${res.leaves[k].name}`, lines, [
+    { x: res.leafWeights[k], label: "current" },
+    { x, label: x.toFixed(2) }
+  ]);
+}
+
+// monte carlo uncertainty
+const SIM_DISTRIBUTIONS = {
+  uniform: "Uniform within the range",
+  triangular: "Triangular, peaked at the judgment"
+};
+
+function defaultSimulation(){
+  return { iterations: 2000, spread: 1, distribution: "uniform", seed: 12345 };
+}
+
+// deterministic generator so a seed reproduces a run
+function mulberry32(seed){
+  let a = seed >>> 0;
+  return ()=>{
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// integer offset in -spread..spread, in scale steps
+function sampleStep(rand, sim){
+  const k = sim.spread;
+  if(sim.distribution === "triangular") return Math.round((rand() - rand()) * k);
+  return Math.floor(rand() * (2 * k + 1)) - k;
+}
+
+function perturbMatrix(A, rand, sim, scale=SAATY_VALUES){
+  const n = A.length;
+  const B = cloneMatrix(A);
+  const last = SLIDER_VALUES.length - 1;
+  for(let i=0;i<n;i++){
+    for(let j=i+1;j<n;j++){
+      if(!isAnswered(A[i][j])) continue;
+      const idx = SLIDER_VALUES.indexOf(sliderFromJudgment(A[i][j], scale));
+      const v = SLIDER_VALUES[clamp(idx + sampleStep(rand, sim), 0, last)];
+      B[i][j] = judgmentFromSlider(v, scale);
+      B[j][i] = 1 / B[i][j];
+    }
+  }
+  return B;
+}
+
+function perturbJudgments(js, rand, sim, scale){
+  const mapAll = (m)=> Object.fromEntries(Object.entries(m).map(([k, A]) => [k, perturbMatrix(A, rand, sim, scale)]));
+  return {
+    criteriaMatrix: perturbMatrix(js.criteriaMatrix, rand, sim, scale),
+    nodeMatrices: mapAll(js.nodeMatrices),
+    altMatrices: mapAll(js.altMatrices)
+  };
+}
+
+// the author's grade matrices and network matrices, perturbed like the judgments
+function perturbModel(st, rand, sim, scale){
+  const out = {};
+  if(ratingsOn(st)){
+    const scales = Object.fromEntries(Object.entries(st.ratings.scales).map(([k, sc]) => [k, { ...sc, matrix: perturbMatrix(sc.matrix, rand, sim, scale) }]));
+    out.ratings = { ...st.ratings, scales };
+  }
+  if(anpOn(st)){
+    out.anp = {
+      ...st.anp,
+      links: st.anp.links.map(l => ({ ...l, matrix: perturbMatrix(l.matrix, rand, sim, scale) })),
+      clusters: Object.fromEntries(ANP_CLUSTERS.map(c => [c, perturbMatrix(st.anp.clusters[c], rand, sim, scale)]))
+    };
+  }
+  return out;
+}
+
+function percentile(sorted, p){
+  if(!sorted.length) return 0;
+  const idx = clamp((sorted.length - 1) * p, 0, sorted.length - 1);
+  const lo = Math.floor(idx);
+  const hi = Math.ceil(idx);
+  return sorted[lo] + (sorted[hi] - sorted[lo]) * (idx - lo);
+}
+
+// runs in slices of about 30 ms so the page stays responsive; resolves with null when a
+// newer run replaced this one
+let simulationRun = 0;
+
+// rank counts and score samples of one kind of result
+function simulationTally(m){
+  const rankCounts = Array.from({ length: m }, () => Array(m).fill(0));
+  const samples = Array.from({ length: m }, () => []);
+  return {
+    add(ranking, scores){
+      ranking.forEach((x, r)=>{
+        rankCounts[x.index][r] += 1;
+      });
+      scores.forEach((v, i) => samples[i].push(v));
+    },
+    summary(iterations){
+      return {
+        iterations,
+        rankProb: rankCounts.map(row => row.map(c => c / iterations)),
+        mean: samples.map(xs => xs.reduce((a,b)=>a+b,0) / xs.length),
+        low: samples.map(xs => percentile(xs.slice().sort((a,b)=>a-b), 0.05)),
+        high: samples.map(xs => percentile(xs.slice().sort((a,b)=>a-b), 0.95))
+      };
+    }
+  };
+}
+
+// with a network, the limit priorities are tallied next to the hierarchy scores
+function runSimulation(st, sim, onProgress){
+  const run = ++simulationRun;
+  // edits made while it runs do not mix into the trials
+  const base = JSON.parse(JSON.stringify(st));
+  const rand = mulberry32(sim.seed);
+  const scale = scaleValues(base);
+  const m = base.alternatives.length;
+  const tally = simulationTally(m);
+  const network = anpOn(base) ? simulationTally(m) : null;
+  let it = 0;
+
+  return new Promise(resolve=>{
+    const slice = ()=>{
+      if(run !== simulationRun){
+        resolve(null);
+        return;
+      }
+      const until = Date.now() + 30;
+      for(; it<sim.iterations && Date.now() < until; it++){
+        const trial = {
+          ...base,
+          ...perturbJudgments(base, rand, sim, scale),
+          ...perturbModel(base, rand, sim, scale),
+          participants: base.participants.map(p => ({ ...p, ...perturbJudgments(p, rand, sim, scale) }))
+        };
+        const res = computeResults(trial);
+        tally.add(res.ranking, res.scores);
+        if(network){
+          const anp = anpSupermatrices(trial, res);
+          network.add(anp.ranking, anp.alternatives);
+        }
+      }
+      if(it < sim.iterations){
+        if(onProgress) onProgress(it);
+        setTimeout(slice, 0);
+        return;
+      }
+      resolve({ ...tally.summary(sim.iterations), network: network ? network.summary(sim.iterations) : null });
+    };
+    slice();
+  });
+}
+
+function simulationTable(st, out){
+  const m = st.alternatives.length;
+  let html = `<table><thead><tr><th>Alternative</th>`;
+  for(let r=0;r<m;r++) html += `<th>P(#${r + 1})</th>`;
+  html += `<th>Mean score</th><th>90% interval</th></tr></thead><tbody>`;
+  st.alternatives.forEach((name, i)=>{
+    html += `<tr><td>${escapeHtml(name)}</td>`;
+    out.rankProb[i].forEach(p=>{ html += `<td>${(p * 100).toFixed(1)}%</td>`; });
+    html += `<td>${out.mean[i].toFixed(4)}</td><td>${out.low[i].toFixed(4)} – ${out.high[i].toFixed(4)}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+function fuzzyTable(st, res){
+  let html = `<table><thead><tr><th>Item</th><th>Fuzzy weight (l, m, u)</th><th>Defuzzified</th></tr></thead><tbody>`;
+  res.leaves.forEach((leaf, j)=>{
+    html += `<tr><td>${escapeHtml(critPath(st, leaf.id))}</td><td>${formatFuzzy(res.nodeWeights[leaf.id].fuzzyGlobal)}</td><td>${res.leafWeights[j].toFixed(4)}</td></tr>`;
+  });
+  res.ranking.forEach(x=>{
+    const i = x.index;
+    html += `<tr><td><b>${escapeHtml(x.name)}</b></td><td>${formatFuzzy(res.fuzzyScores[i])}</td><td>${x.score.toFixed(4)}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+// each alternative's local priority under each leaf criterion, the weighted contribution
+// to the score and the consistency of the matrix behind it
+function synthesisTable(st, res){
+  const order = res.ranking.map(x => x.index);
+  let html = `<table><thead><tr><th>Alternative</th>`;
+  res.leaves.forEach(leaf=>{
+    html += `<th>${escapeHtml(critPath(st, leaf.id))}</th>`;
+  });
+  html += `<th>Score</th></tr></thead><tbody>`;
+
+  html += `<tr><td class="muted">Criterion weight</td>`;
+  res.leafWeights.forEach(w=>{ html += `<td class="muted">${w.toFixed(4)}</td>`; });
+  html += `<td class="muted">1</td></tr>`;
+
+  order.forEach(i=>{
+    html += `<tr><td>${escapeHtml(st.alternatives[i])}</td>`;
+    res.altPriorities.forEach((p, j)=>{
+      html += `<td><b>${(res.leafWeights[j] * p[i]).toFixed(4)}</b> <span class="small muted">(${p[i].toFixed(3)})</span></td>`;
+    });
+    html += `<td><b>${res.scores[i].toFixed(4)}</b></td></tr>`;
+  });
+
+  html += `<tr><td class="muted">${CONSISTENCY_INDICES[st.consistency.index].short}</td>`;
+  res.altSolves.forEach(r=>{ html += `<td><span class="badge ${crMessage(r, st.consistency).level}">${consistencyValue(r, st.consistency).toFixed(3)}</span></td>`; });
+  html += `<td></td></tr>`;
+  html += `</tbody></table>`;
+  return html;
+}
+
+function drawContributions(canvasId, st, res){
+  drawStackedBars(canvasId, "Contribution of each criterion to the score",
+    res.ranking.map(x => ({ name: x.name, values: res.altPriorities.map((p, j) => res.leafWeights[j] * p[x.index]) })),
+    res.leaves.map(leaf => leaf.name));
+}
+
+// the same model without alternative k, judgments among the others unchanged
+function withoutAlternative(st, k){
+  const copy = JSON.parse(JSON.stringify(st));
+  const from = copy.alternatives.map((_, i) => i).filter(i => i !== k);
+  copy.alternatives = from.map(i => copy.alternatives[i]);
+  reshapeJudgments(copy, critLayout(copy), from);
+  return copy;
+}
+
+// alternatives whose addition reverses the order of two others, as [ahead before, ahead now];
+// one solve per alternative, so the list is kept until the model changes
+let reversalCache = { key: null, list: [] };
+
+function additionReversals(st, res){
+  if(st.alternatives.length < 3) return [];
+  const key = modelJSON(JSON.stringify(st));
+  if(reversalCache.key === key) return reversalCache.list;
+  const eps = 1e-9;
+  const out = [];
+  st.alternatives.forEach((name, k)=>{
+    const before = computeResults(withoutAlternative(st, k));
+    const others = st.alternatives.map((_, i) => i).filter(i => i !== k);
+    const pairs = [];
+    others.forEach((a, x)=>{
+      others.forEach((b, y)=>{
+        if(x >= y) return;
+        const now = res.scores[a] - res.scores[b];
+        const then = before.scores[x] - before.scores[y];
+        const [na, nb] = [st.alternatives[a], st.alternatives[b]];
+        if(now > eps && then < -eps) pairs.push([nb, na]);
+        if(now < -eps && then > eps) pairs.push([na, nb]);
+      });
+    });
+    if(pairs.length) out.push({ name, pairs });
+  });
+  reversalCache = { key, list: out };
+  return out;
+}
+
+function synthesisModesTable(st, res){
+  const runs = Object.keys(SYNTHESIS_MODES).map(mode => ({
+    mode,
+    res: mode === st.synthesis ? res : computeResults({ ...st, synthesis: mode })
+  }));
+  const rankOf = (r, i)=> r.ranking.findIndex(x => x.index === i) + 1;
+
+  let html = `<table><thead><tr><th>Alternative</th>`;
+  runs.forEach(r=>{
+    html += `<th>${escapeHtml(SYNTHESIS_MODES[r.mode])}${r.mode === st.synthesis ? " *" : ""}</th>`;
+  });
+  html += `</tr></thead><tbody>`;
+  res.ranking.forEach(x=>{
+    const i = x.index;
+    const base = rankOf(res, i);
+    html += `<tr><td>${escapeHtml(x.name)}</td>`;
+    runs.forEach(r=>{
+      const rank = rankOf(r.res, i);
+      html += `<td${rank !== base ? ` class="changed"` : ""}>${r.res.scores[i].toFixed(4)} (#${rank})</td>`;
+    });
+    html += `</tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+function reversalWarnings(st, res){
+  const list = additionReversals(st, res);
+  if(!list.length) return `<div class="badge good">Adding any of the alternatives leaves the order of the others unchanged.</div>`;
+  return list.map(r=>`
+    <div class="badge warn">Adding ${escapeHtml(r.name)} puts ${r.pairs.map(([a, b]) => `${escapeHtml(b)} ahead of ${escapeHtml(a)}`).join(", ")}.${st.synthesis === "ideal" ? "" : " Ideal synthesis avoids this unless the added alternative becomes the best under a criterion."}</div>
+  `).join(`<div style="height:6px"></div>`);
+}
+
+// analytic network process: the hierarchy becomes a network of the goal, the leaf criteria
+// and the alternatives; a dependency compares the nodes of a cluster with respect to one node
+const ANP_MODELS = {
+  hierarchy: "Hierarchy (AHP), independent criteria",
+  network: "Network (ANP), with dependencies"
+};
+const ANP_CLUSTERS = ["criteria", "alternatives"];
+const ANP_CLUSTER_LABELS = { criteria: "Criteria", alternatives: "Alternatives" };
+
+// clusters[c] compares the criteria and alternatives clusters for the columns of cluster c
+function defaultAnp(){
+  return { enabled: false, links: [], clusters: { criteria: blankMatrix(2), alternatives: blankMatrix(2) } };
+}
+
+function anpOn(st){
+  return !!(st.anp && st.anp.enabled);
+}
+
+// goal first, then the leaf criteria, then the alternatives
+function anpNodes(st){
+  return [{ key: "goal", name: "Goal", cluster: "goal" }]
+    .concat(leafCriteria(st).map(leaf => ({ key: leaf.id, name: leaf.name, cluster: "criteria" })))
+    .concat(st.alternatives.map((name, i) => ({ key: `alt:${i}`, name, cluster: "alternatives" })));
+}
+
+// the criteria always bear on the alternatives (the hierarchy), so a criterion only
+// gets a dependency on the other criteria
+function linkAllowed(st, source, cluster){
+  const node = anpNodes(st).find(x => x.key === source);
+  if(!node || node.cluster === "goal" || !ANP_CLUSTERS.includes(cluster)) return false;
+  return !(node.cluster === "criteria" && cluster === "alternatives");
+}
+
+// the nodes compared by a dependency, the source itself left out
+function linkNodes(st, source, cluster){
+  return anpNodes(st).filter(x => x.cluster === cluster && x.key !== source).map(x => x.key);
+}
+
+function findLink(st, source, cluster){
+  return st.anp.links.find(l => l.source === source && l.cluster === cluster);
+}
+
+// drops dependencies on removed nodes, the others follow the nodes they compare
+function fitAnp(st){
+  const a = st.anp && typeof st.anp === "object" ? st.anp : defaultAnp();
+  const clusters = {};
+  ANP_CLUSTERS.forEach(c=>{
+    clusters[c] = a.clusters && isSquare(a.clusters[c], 2) ? a.clusters[c] : blankMatrix(2);
+  });
+  const links = (Array.isArray(a.links) ? a.links : []).filter(l => l && linkAllowed(st, l.source, l.cluster)).map(l=>{
+    const nodes = linkNodes(st, l.source, l.cluster);
+    const old = Array.isArray(l.nodes) ? l.nodes : [];
+    const fits = isSquare(l.matrix, old.length);
+    return { source: l.source, cluster: l.cluster, nodes, matrix: fits ? remapMatrix(l.matrix, nodes.map(k => old.indexOf(k))) : blankMatrix(nodes.length) };
+  });
+  st.anp = { enabled: a.enabled === true, links, clusters };
+  return st.anp;
+}
+
+// alternatives are keyed by position, so their keys move with altFrom
+function reshapeAnp(st, altFrom){
+  if(!st.anp) return;
+  const key = (k)=>{
+    if(!k.startsWith("alt:")) return k;
+    const i = altFrom.indexOf(Number(k.slice(4)));
+    return i >= 0 ? `alt:${i}` : null;
+  };
+  st.anp.links = st.anp.links.filter(l => key(l.source) !== null).map(l => ({ ...l, source: key(l.source), nodes: l.nodes.map(k => key(k) ?? "") }));
+  fitAnp(st);
+}
+
+function toggleLink(st, source, cluster){
+  const link = findLink(st, source, cluster);
+  if(link){
+    st.anp.links = st.anp.links.filter(l => l !== link);
+    return;
+  }
+  const nodes = linkNodes(st, source, cluster);
+  st.anp.links.push({ source, cluster, nodes, matrix: blankMatrix(nodes.length) });
+}
+
+// the same dependency for every alternative, removed when all have it
+function toggleAlternativeLinks(st, cluster){
+  const keys = st.alternatives.map((_, i) => `alt:${i}`);
+  const all = keys.every(k => findLink(st, k, cluster));
+  keys.forEach(k=>{
+    if(all || !findLink(st, k, cluster)) toggleLink(st, k, cluster);
+  });
+}
+
+// alternatives that feed back while others do not, those others absorb the priority
+function partialFeedback(st){
+  const feeding = st.alternatives.filter((_, i) => st.anp.links.some(l => l.source === `alt:${i}`));
+  return feeding.length && feeding.length < st.alternatives.length;
+}
+
+function linkTitle(st, link){
+  const node = anpNodes(st).find(x => x.key === link.source);
+  return `${ANP_CLUSTER_LABELS[link.cluster]} with respect to ${node ? node.name : link.source}`;
+}
+
+function linkLabels(st, link){
+  const nodes = anpNodes(st);
+  return link.nodes.map(k => nodes.find(x => x.key === k).name);
+}
+
+function matMul(A, B){
+  const n = A.length;
+  const C = Array.from({ length: n }, () => Array(n).fill(0));
+  for(let i=0;i<n;i++){
+    for(let k=0;k<n;k++){
+      const a = A[i][k];
+      if(!a) continue;
+      for(let j=0;j<n;j++) C[i][j] += a * B[k][j];
+    }
+  }
+  return C;
+}
+
+function maxDiff(A, B){
+  let d = 0;
+  A.forEach((row, i) => row.forEach((v, j)=>{ d = Math.max(d, Math.abs(v - B[i][j])); }));
+  return d;
+}
+
+// powers of W by squaring until they settle; a cyclic supermatrix never settles,
+// then the limit is the average of the powers over one cycle
+function limitSupermatrix(W, tol=1e-10){
+  let P = W;
+  for(let k=0;k<64;k++){
+    const Q = matMul(P, P);
+    const settled = maxDiff(P, Q) < tol;
+    P = Q;
+    if(settled) break;
+  }
+  const cycle = [P];
+  for(let k=1;k<W.length;k++){
+    const Q = matMul(W, cycle[cycle.length - 1]);
+    if(maxDiff(Q, P) < 1e-6) break;
+    cycle.push(Q);
+  }
+  return P.map((row, i) => row.map((_, j) => cycle.reduce((s, M) => s + M[i][j], 0) / cycle.length));
+}
+
+// column j of the unweighted supermatrix holds, per cluster, the priorities of its nodes
+// with respect to node j; the weighted one scales each block by the cluster weights so
+// columns add up to 1, and a node with no dependencies keeps its own priority
+function anpSupermatrices(st, res){
+  const nodes = anpNodes(st);
+  const n = nodes.length;
+  const index = new Map(nodes.map((x, i) => [x.key, i]));
+  const U = Array.from({ length: n }, () => Array(n).fill(0));
+  const linkSolves = [];
+  const put = (col, keys, weights)=>{
+    keys.forEach((k, i)=>{ U[index.get(k)][col] = weights[i]; });
+  };
+
+  put(0, res.leaves.map(leaf => leaf.id), res.leafWeights);
+  res.leaves.forEach((leaf, j)=>{
+    const p = res.altPriorities[j];
+    const sum = p.reduce((a, b) => a + b, 0);
+    if(sum > 0) put(index.get(leaf.id), nodes.filter(x => x.cluster === "alternatives").map(x => x.key), p.map(v => v / sum));
+  });
+  st.anp.links.forEach(link=>{
+    if(!link.nodes.length) return;
+    const r = solveMatrix(st, link.matrix);
+    linkSolves.push({ link, solve: r });
+    put(index.get(link.source), link.nodes, r.weights);
+  });
+
+  const clusterWeights = {};
+  ANP_CLUSTERS.forEach(c=>{ clusterWeights[c] = ahpSolve(st.anp.clusters[c], st.method).weights; });
+
+  const W = U.map(row => row.slice());
+  nodes.forEach((node, j)=>{
+    const present = ANP_CLUSTERS.filter(c => nodes.some((x, i) => x.cluster === c && U[i][j] > 0));
+    if(!present.length){
+      W[j][j] = 1;
+      return;
+    }
+    const cw = node.cluster === "goal" ? [1, 1] : clusterWeights[node.cluster];
+    const total = present.reduce((s, c) => s + cw[ANP_CLUSTERS.indexOf(c)], 0);
+    nodes.forEach((x, i)=>{
+      if(U[i][j] > 0) W[i][j] = U[i][j] * cw[ANP_CLUSTERS.indexOf(x.cluster)] / total;
+    });
+  });
+
+  const L = limitSupermatrix(W);
+  const clusterPriorities = (c)=>{
+    const idx = nodes.map((x, i) => x.cluster === c ? i : -1).filter(i => i >= 0);
+    const sum = idx.reduce((s, i) => s + L[i][0], 0);
+    return sum > 1e-12 ? idx.map(i => L[i][0] / sum) : null;
+  };
+
+  const alternatives = clusterPriorities("alternatives") || st.alternatives.map(() => 1 / st.alternatives.length);
+  const ranking = st.alternatives.map((name, i) => ({ name, index: i, score: alternatives[i] })).sort((a, b) => b.score - a.score);
+  return { nodes, unweighted: U, weighted: W, limit: L, linkSolves, clusterWeights, alternatives, criteria: clusterPriorities("criteria"), ranking };
+}
+
+// AHP scores next to the limit priorities of the network
+function anpCompareTable(st, res, anp){
+  const rankOf = (ranking, i)=> ranking.findIndex(x => x.index === i) + 1;
+  let html = `<table><thead><tr><th>Alternative</th><th>AHP score</th><th>AHP rank</th><th>ANP priority</th><th>ANP rank</th></tr></thead><tbody>`;
+  anp.ranking.forEach(x=>{
+    const i = x.index;
+    const ahp = rankOf(res.ranking, i);
+    const net = rankOf(anp.ranking, i);
+    html += `<tr><td>${escapeHtml(x.name)}</td><td>${res.scores[i].toFixed(4)}</td><td>#${ahp}</td><td>${anp.alternatives[i].toFixed(4)}</td><td${net !== ahp ? ` class="changed"` : ""}>#${net}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+// criteria priorities in the limit, only when alternatives feed back into the criteria
+function anpCriteriaTable(st, res, anp){
+  let html = `<table><thead><tr><th>Criterion</th><th>AHP global weight</th><th>ANP priority</th></tr></thead><tbody>`;
+  res.leaves.forEach((leaf, j)=>{
+    html += `<tr><td>${escapeHtml(critPath(st, leaf.id))}</td><td>${res.leafWeights[j].toFixed(4)}</td><td>${anp.criteria[j].toFixed(4)}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+function supermatrixTable(nodes, M){
+  let html = `<table class="supermatrix"><thead><tr><th></th>${nodes.map(x => `<th>${escapeHtml(x.name)}</th>`).join("")}</tr></thead><tbody>`;
+  nodes.forEach((x, i)=>{
+    html += `<tr><td>${escapeHtml(x.name)}</td>${M[i].map(v => `<td${v ? "" : ` class="muted"`}>${v ? v.toFixed(4) : "0"}</td>`).join("")}</tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+// dependencies grid, the comparisons of the selected dependency and the cluster weights
+function networkSectionHTML(st){
+  const nodes = anpNodes(st).filter(x => x.cluster !== "goal");
+  const links = st.anp.links;
+  const active = links[st.activeLink] || links[0];
+  const r = active && active.nodes.length > 1 ? solveMatrix(st, active.matrix) : null;
+  const labels = active ? linkLabels(st, active) : [];
+  return `
+    <div class="panelTitle">Network dependencies</div>
+    <div class="small muted">Tick a cluster to compare its nodes with respect to the node of the row, for example which criteria weigh more given transportation cost. Criteria always bear on the alternatives through the hierarchy.</div>
+    <div style="height:10px"></div>
+    <div class="tableScroll">
+      <table>
+        <thead><tr><th>Node</th>${ANP_CLUSTERS.map(c => `<th>${ANP_CLUSTER_LABELS[c]}</th>`).join("")}</tr></thead>
+        <tbody>
+          <tr>
+            <td><b>All alternatives</b></td>
+            ${ANP_CLUSTERS.map(c=>`<td><input type="checkbox" data-all="${c}"${st.alternatives.every((_, i) => findLink(st, `alt:${i}`, c)) ? " checked" : ""} /></td>`).join("")}
+          </tr>
+          ${nodes.map(x=>`
+            <tr>
+              <td>${escapeHtml(x.name)} <span class="small muted">${ANP_CLUSTER_LABELS[x.cluster].toLowerCase()}</span></td>
+              ${ANP_CLUSTERS.map(c=>{
+                if(!linkAllowed(st, x.key, c)) return `<td class="muted">${c === "alternatives" ? "hierarchy" : ""}</td>`;
+                return `<td><input type="checkbox" data-source="${escapeHtml(x.key)}" data-cluster="${c}"${findLink(st, x.key, c) ? " checked" : ""} /></td>`;
+              }).join("")}
+            </tr>
+          `).join("")}
+        </tbody>
+      </table>
+    </div>
+
+    ${active ? `
+      <div style="height:12px"></div>
+      <label class="small muted">Dependency</label>
+      <select id="anp_link">
+        ${links.map((l, k)=>`<option value="${k}"${l === active ? " selected" : ""}>${escapeHtml(linkTitle(st, l))}</option>`).join("")}
+      </select>
+      <div style="height:10px"></div>
+      ${r ? `<div class="small muted">${crBadge(r, st.consistency)}</div><div style="height:10px"></div>` : ""}
+      <div class="matrixLayout">
+        <div id="linkPairs">${active.nodes.length > 1 ? "" : `<div class="small muted">Only one node to compare, it takes the whole priority.</div>`}</div>
+        ${active.nodes.length > 1 ? matrixHeatmap("hm_link", "Dependency matrix") : ""}
+      </div>
+      ${r ? `<div id="linkRepair" style="margin-top:10px;">${repairHTML("linkRepair", `link:${active.source}:${active.cluster}`, labels, active.matrix, st)}</div>` : ""}
+    ` : ""}
+
+    <div style="height:12px"></div>
+    <div class="panelTitle">Cluster weights</div>
+    <div class="small muted">How much each cluster counts in the columns of criteria and of alternatives that depend on both; unanswered means equal. With two clusters the matrices are always consistent and need no repair.</div>
+    <div style="height:10px"></div>
+    <div class="row">
+      ${ANP_CLUSTERS.map(c=>`
+        <div>
+          <div class="small muted">With respect to ${ANP_CLUSTER_LABELS[c].toLowerCase()}</div>
+          <div id="clusterPairs_${c}"></div>
+        </div>
+      `).join("")}
+    </div>
+  `;
+}
+
+function bindNetworkSection(rootEl, st, onChange){
+  const scale = scaleValues(st);
+  const links = st.anp.links;
+  const active = links[st.activeLink] || links[0];
+
+  rootEl.querySelectorAll("input[data-all]").forEach(box=>{
+    box.addEventListener("change", ()=>{
+      toggleAlternativeLinks(st, box.dataset.all);
+      if(box.checked) st.activeLink = st.anp.links.length - 1;
+      onChange();
+    });
+  });
+
+  rootEl.querySelectorAll("input[data-source]").forEach(box=>{
+    box.addEventListener("change", ()=>{
+      toggleLink(st, box.dataset.source, box.dataset.cluster);
+      if(box.checked) st.activeLink = st.anp.links.length - 1;
+      onChange();
+    });
+  });
+
+  const sel = rootEl.querySelector("#anp_link");
+  if(sel){
+    sel.addEventListener("change", ()=>{
+      st.activeLink = Number(sel.value);
+      onChange();
+    });
+  }
+
+  const pairsEl = rootEl.querySelector("#linkPairs");
+  if(active && active.nodes.length > 1){
+    const labels = linkLabels(st, active);
+    const update = (B)=>{
+      active.matrix = B;
+      onChange();
+    };
+    pairsEl.innerHTML = pairwiseHTML(labels, active.matrix, scale);
+    bindPairwise(pairsEl, active.matrix, update, scale);
+    bindRepair(rootEl.querySelector("#linkRepair"), `link:${active.source}:${active.cluster}`, labels, active.matrix, st, update);
+  }
+
+  ANP_CLUSTERS.forEach(c=>{
+    const el = rootEl.querySelector(`#clusterPairs_${c}`);
+    el.innerHTML = pairwiseHTML(ANP_CLUSTERS.map(x => ANP_CLUSTER_LABELS[x]), st.anp.clusters[c], scale);
+    bindPairwise(el, st.anp.clusters[c], B=>{
+      st.anp.clusters[c] = B;
+      onChange();
+    }, scale);
+  });
+}
+
+function rankingTable(items){
+  let html = `<table><thead><tr><th>Alternative</th><th>Score</th></tr></thead><tbody>`;
+  items.forEach(x=>{
+    html += `<tr><td>${escapeHtml(x.name)}</td><td>${x.score.toFixed(6)}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+function renderResultsPage(st){
+  const view = document.getElementById("view");
+  if(!view) return;
+
+  const res = computeResults(st);
+  const best = res.ranking[0];
+
+  const sets = st.participants.length ? st.participants : [st];
+  const underdetermined = [];
+  sets.forEach(js=>{
+    judgmentMatrices(st, js).forEach(m=>{
+      if(!matrixCompletion(m.A).connected) underdetermined.push(st.participants.length ? `${js.name}: ${m.title}` : m.title);
+    });
+  });
+  const rated = ratingsOn(st);
+  if(rated){
+    gradeMatrices(st).forEach(m=>{
+      if(!matrixCompletion(m.A).connected) underdetermined.push(`grades, ${m.title}`);
+    });
+  }
+  const unrated = rated ? unratedPairs(st) : [];
+  const anp = anpOn(st) ? anpSupermatrices(st, res) : null;
+
+  view.innerHTML = `
+    <div class="row">
+      <div>
+        <div class="panelTitle">Key results</div>
+        <div style="font-size:18px; font-weight:700; margin-top:6px">${escapeHtml(best.name)}</div>
+        <div class="small muted">Score ${best.score.toFixed(4)}</div>
+        <div style="height:10px"></div>
+        ${crBadge(res.critSolve, st.consistency)}
+        <span class="badge">${escapeHtml(st.fuzzy.enabled ? `Fuzzy AHP, ${FUZZY_METHODS[st.fuzzy.method]}` : PRIORITY_METHODS[st.method].label)}</span>
+        ${underdetermined.length ? `
+          <div style="height:8px"></div>
+          <div class="badge warn">Not enough comparisons, weights are provisional: ${escapeHtml(underdetermined.join("; "))}</div>
+        ` : ""}
+        ${unrated.length ? `
+          <div style="height:8px"></div>
+          <div class="badge warn">${unrated.length} ratings missing, counted as 0: ${escapeHtml(unrated.slice(0, 5).map(([a, c]) => `${a} on ${c}`).join("; "))}${unrated.length > 5 ? "; …" : ""}</div>
+        ` : ""}
+        <div style="height:10px"></div>
+        <div class="kv">
+          <button type="button" class="btn inline" id="rep_open">Generate report</button>
+          <button type="button" class="btn inline" id="rep_save">Download report</button>
+        </div>
+        <div class="divider"></div>
+        <div class="panelTitle">${st.participants.length ? "Group ranking" : "Ranking"}</div>
+        ${rankingTable(res.ranking)}
+      </div>
+
+      <div>
+        <div class="panelTitle">Charts</div>
+        <canvas class="chart" id="chartCrit" width="900" height="320"></canvas>
+        <div style="height:12px"></div>
+        <canvas class="chart" id="chartScore" width="900" height="320"></canvas>
+      </div>
+    </div>
+
+    <div class="divider"></div>
+
+    <div class="panelTitle">Synthesis</div>
+    <div class="small muted">Contribution of each criterion to the score, global criterion weight times the local priority shown in brackets, with the ${CONSISTENCY_INDICES[st.consistency.index].short} of each ${rated ? "grades" : "alternatives"} matrix.</div>
+    <div style="height:10px"></div>
+    ${synthesisTable(st, res)}
+    <div style="height:12px"></div>
+    <canvas class="chart" id="chartContrib" width="900" height="${Math.max(200, 110 + st.alternatives.length * 44)}"></canvas>
+
+    ${anp ? `
+      <div class="divider"></div>
+
+      <div class="panelTitle">Network (ANP)</div>
+      <div class="small muted">Priorities from the goal column of the limit supermatrix, next to the AHP scores; highlighted ranks differ. ${st.anp.links.length} dependencies declared.</div>
+      <div style="height:10px"></div>
+      ${partialFeedback(st) ? `
+        <div class="badge warn">Only some alternatives have dependencies; the others keep their own priority and absorb the rest. Declare the same dependencies for all alternatives.</div>
+        <div style="height:10px"></div>
+      ` : ""}
+      ${anpCompareTable(st, res, anp)}
+      ${anp.criteria ? `
+        <div style="height:12px"></div>
+        ${anpCriteriaTable(st, res, anp)}
+      ` : ""}
+      <div style="height:12px"></div>
+      ${["unweighted", "weighted", "limit"].map(k=>`
+        <details>
+          <summary>${k[0].toUpperCase() + k.slice(1)} supermatrix</summary>
+          <div class="tableScroll">${supermatrixTable(anp.nodes, anp[k])}</div>
+        </details>
+      `).join("")}
+    ` : ""}
+
+    ${rated ? "" : `
+      <div class="divider"></div>
+
+      <div class="panelTitle">Synthesis modes</div>
+      <div class="small muted">Distributive and ideal scores side by side, * marks the mode in use, highlighted cells rank differently. Ideal scores are not normalized, 1 means best on every criterion.</div>
+      <div style="height:10px"></div>
+      ${synthesisModesTable(st, res)}
+      <div style="height:10px"></div>
+      ${reversalWarnings(st, res)}
+    `}
+
+    <div class="divider"></div>
+
+    <div class="panelTitle">Criteria weights</div>
+    ${hierarchyTable(st, res)}
+
+    ${res.fuzzyScores ? `
+      <div class="divider"></div>
+      <div class="panelTitle">Fuzzy weight intervals</div>
+      <div class="small muted">Global fuzzy weights of the criteria, then fuzzy scores of the alternatives, with the defuzzified values used for the ranking.</div>
+      <div style="height:10px"></div>
+      ${fuzzyTable(st, res)}
+    ` : ""}
+
+    <div class="divider"></div>
+
+    <div class="panelTitle">Sensitivity analysis</div>
+    <div class="row">
+      <div>
+        <label class="small muted">Criterion</label>
+        <select id="sens_crit">
+          ${res.leaves.map((leaf, k)=>`<option value="${k}">${escapeHtml(critPath(st, leaf.id))}</option>`).join("")}
+        </select>
+      </div>
+      <div>
+        <label class="small muted">Weight <span id="sens_val"></span></label>
+        <input type="range" id="sens_w" min="0" max="1" step="0.01" style="width:100%" />
+        <div class="small muted" id="sens_rank"></div>
+      </div>
+    </div>
+    <div style="height:10px"></div>
+    <canvas class="chart" id="chartSens" width="900" height="360"></canvas>
+    <div style="height:10px"></div>
+    <div class="small muted">Weight each criterion would need for the top two alternatives to swap, the others rescaled proportionally.</div>
+    ${thresholdsTable(st, res)}
+
+    <div class="divider"></div>
+
+    <div class="panelTitle">Uncertainty simulation</div>
+    <div class="simControls">
+      <div>
+        <label class="small muted">Iterations</label>
+        <input type="number" id="sim_iter" min="100" max="50000" step="100" value="${st.simulation.iterations}" />
+      </div>
+      <div>
+        <label class="small muted">Range (scale steps)</label>
+        <input type="number" id="sim_spread" min="1" max="8" step="1" value="${st.simulation.spread}" />
+      </div>
+      <div>
+        <label class="small muted">Distribution</label>
+        <select id="sim_dist">
+          ${Object.entries(SIM_DISTRIBUTIONS).map(([k, label])=>`<option value="${k}"${st.simulation.distribution === k ? " selected" : ""}>${escapeHtml(label)}</option>`).join("")}
+        </select>
+      </div>
+      <div>
+        <label class="small muted">Seed</label>
+        <input type="number" id="sim_seed" step="1" value="${st.simulation.seed}" />
+      </div>
+      <div>
+        <button type="button" class="btn inline" id="sim_run">Run simulation</button>
+      </div>
+    </div>
+    <div style="height:10px"></div>
+    <div id="simOut" class="small muted">Each answered judgment is moved within the range on the 1–9 scale and all matrices are solved again.</div>
+
+    <div class="divider"></div>
+
+    <div class="panelTitle">Method comparison</div>
+    <div class="small muted">Global criteria weights, then alternative scores with rank. * marks the method in use, highlighted cells rank differently.</div>
+    <div style="height:10px"></div>
+    ${methodsTable(st)}
+
+    <div class="divider"></div>
+
+    <div class="panelTitle">Snapshots</div>
+    <div class="small muted">Named copies of the model. Compare any two side by side, highlighted cells rank differently.</div>
+    <div style="height:10px"></div>
+    <div id="snapshots">${snapshotsHTML()}</div>
+
+    ${st.participants.length ? `
+      <div class="divider"></div>
+      <div class="panelTitle">Individual rankings</div>
+      <div class="badge">${escapeHtml(AGGREGATION_MODES[st.aggregation.mode])}${st.aggregation.mode === "priorities" ? `, ${escapeHtml(AGGREGATION_MEANS[st.aggregation.mean].toLowerCase())}` : ""}</div>
+      <div style="height:10px"></div>
+      ${participantsTable(st, res)}
+    ` : ""}
+  `;
+
+  const critRows = res.leaves.map((c, i)=>({ name: c.name, value: res.leafWeights[i] }));
+  const scoreRows = st.alternatives.map((a, i)=>({ name: a, value: res.scores[i] }));
+
+  const sensCrit = document.getElementById("sens_crit");
+  const sensW = document.getElementById("sens_w");
+  const updateSens = ()=>{
+    const k = Number(sensCrit.value);
+    const x = Number(sensW.value);
+    document.getElementById("sens_val").textContent = x.toFixed(2);
+    const scores = sensitivityScores(res, k, x);
+    const order = st.alternatives
+      .map((name, i)=>({ name, score: scores[i] }))
+      .sort((a,b)=>b.score-a.score);
+    document.getElementById("sens_rank").textContent = order.map(o => `${o.name} ${o.score.toFixed(3)}`).join(" > ");
+    drawSensitivity(st, res, k, x);
+  };
+  sensCrit.addEventListener("change", ()=>{
+    sensW.value = String(res.leafWeights[Number(sensCrit.value)]);
+    updateSens();
+  });
+  sensW.addEventListener("input", updateSens);
+
+  bindSnapshots(document.getElementById("snapshots"), st);
+
+  document.getElementById("rep_open").addEventListener("click", ()=> openReport(st));
+  document.getElementById("rep_save").addEventListener("click", ()=>{
+    downloadBlob(new Blob([reportHTML(st)], { type: "text/html" }), exportFileName(st, "html"));
+  });
+
+  document.getElementById("sim_run").addEventListener("click", ()=>{
+    const readInt = (id, lo, hi, fallback)=>{
+      const v = Math.round(Number(document.getElementById(id).value));
+      return Number.isFinite(v) ? clamp(v, lo, hi) : fallback;
+    };
+    const sim = st.simulation;
+    sim.iterations = readInt("sim_iter", 100, 50000, sim.iterations);
+    sim.spread = readInt("sim_spread", 1, 8, sim.spread);
+    sim.seed = readInt("sim_seed", 0, 4294967295, sim.seed);
+    sim.distribution = document.getElementById("sim_dist").value;
+    saveState(st);
+
+    const btn = document.getElementById("sim_run");
+    const progress = (done)=>{
+      const el = document.getElementById("simOut");
+      if(!el) return;
+      el.innerHTML = `
+        <div class="kv">
+          <div class="progress"><div class="progressBar" style="width:${(100 * done / sim.iterations).toFixed(1)}%"></div></div>
+          <div class="small muted">${done} of ${sim.iterations} runs</div>
+        </div>
+      `;
+    };
+    btn.disabled = true;
+    progress(0);
+    runSimulation(st, sim, progress).then(out=>{
+      btn.disabled = false;
+      const el = document.getElementById("simOut");
+      if(!out || !el) return;
+      el.innerHTML = `
+        <div class="small muted">${out.iterations} runs, seed ${sim.seed}, ±${sim.spread} step${sim.spread > 1 ? "s" : ""}, ${escapeHtml(SIM_DISTRIBUTIONS[sim.distribution].toLowerCase())}.</div>
+        <div style="height:8px"></div>
+        ${simulationTable(st, out)}
+        ${out.network ? `
+          <div style="height:10px"></div>
+          <div class="panelTitle">Network (ANP) priorities</div>
+          ${simulationTable(st, out.network)}
+        ` : ""}
+        <div style="height:10px"></div>
+        <canvas class="chart" id="chartSim" width="900" height="${Math.max(200, 90 + st.alternatives.length * 44)}"></canvas>
+      `;
+      drawStackedBars("chartSim", "Rank probabilities",
+        st.alternatives.map((name, i)=>({ name, values: out.rankProb[i] })),
+        st.alternatives.map((_, r)=>`#${r + 1}`));
+    });
+  });
+  sensW.value = String(res.leafWeights[0]);
+
+  setTimeout(()=>{
+    drawBarChart("chartCrit", "Criteria weights", critRows);
+    drawBarChart("chartScore", "Final scores", scoreRows);
+    drawContributions("chartContrib", st, res);
+    updateSens();
+  }, 0);
+}
+
+// spreadsheet export: the same sheets as CSV sections or as an XLSX workbook,
+// written by hand as a stored (uncompressed) zip
+function spreadsheetSheets(st){
+  const res = computeResults(st);
+  const js = groupJudgments(st);
+  const rated = ratingsOn(st);
+  const matrices = judgmentMatrices(st, js).concat(rated ? gradeMatrices(st) : []);
+  const matrixRows = (m)=> [[""].concat(m.labels)].concat(m.A.map((row, i) => [m.labels[i]].concat(row.map(v => isAnswered(v) ? v : ""))));
+  const source = st.participants.length ? ", group geometric mean" : "";
+
+  const criteria = [];
+  matrices.filter(m => m.kind === "group").forEach(m=>{
+    if(criteria.length) criteria.push([]);
+    criteria.push([`Criteria matrix, ${m.title}${source}`]);
+    matrixRows(m).forEach(row => criteria.push(row));
+  });
+  const sheets = [{ name: "Criteria", rows: criteria }];
+
+  matrices.filter(m => m.kind === "alt").forEach(m=>{
+    sheets.push({
+      name: `Alt ${m.title}`,
+      rows: [[`Alternatives by criterion, ${m.title}${source}`]].concat(matrixRows(m))
+    });
+  });
+
+  if(rated){
+    const grades = [];
+    matrices.filter(m => m.kind === "grade").forEach(m=>{
+      if(grades.length) grades.push([]);
+      grades.push([`Grades, ${m.title}`]);
+      matrixRows(m).forEach(row => grades.push(row));
+    });
+    sheets.push({ name: "Grades", rows: grades });
+
+    const ratings = [["Alternative"].concat(res.leaves.map(leaf => critPath(st, leaf.id)))];
+    st.alternatives.forEach((name, i)=>{
+      ratings.push([name].concat(res.leaves.map(leaf=>{
+        const g = st.ratings.values[leaf.id][i];
+        return g === null ? "" : st.ratings.scales[leaf.id].grades[g];
+      })));
+    });
+    sheets.push({ name: "Ratings", rows: ratings });
+  }
+
+  const weights = [["Matrix", "Element", "Local weight", "Global weight", "λmax", "CI", "CR", "GCI", "Koczkodaj"]];
+  const solveOf = (m)=>{
+    const r = m.kind === "group" ? (m.id === null ? res.critSolve : res.groupSolves[m.id]) : res.altSolves[res.leaves.findIndex(leaf => leaf.id === m.id)];
+    return m.kind === "grade" ? { ...r, weights: r.grades } : r;
+  };
+  const matrixName = { group: "", alt: "Alternatives, ", grade: "Grades, " };
+  matrices.forEach(m=>{
+    const r = solveOf(m);
+    const group = m.kind === "group" ? critGroups(st).find(g => g.id === m.id) : null;
+    m.labels.forEach((label, i)=>{
+      const global = group ? res.nodeWeights[group.children[i].id].global : "";
+      weights.push([matrixName[m.kind] + m.title, label, r.weights[i], global, r.lambdaMax, r.ci, r.cr, r.gci, r.koczkodaj]);
+    });
+  });
+  sheets.push({ name: "Weights", rows: weights });
+
+  const synthesis = [["Alternative"].concat(res.leaves.map(leaf => critPath(st, leaf.id)), ["Score"])];
+  synthesis.push(["Criterion weight"].concat(res.leafWeights, [1]));
+  st.alternatives.forEach((name, i)=>{
+    synthesis.push([name].concat(res.leaves.map((_, j) => res.leafWeights[j] * res.altPriorities[j][i]), [res.scores[i]]));
+  });
+  sheets.push({ name: "Synthesis", rows: synthesis });
+
+  sheets.push({ name: "Ranking", rows: [["Rank", "Alternative", "Score"]].concat(res.ranking.map((x, k) => [k + 1, x.name, x.score])) });
+
+  if(anpOn(st)){
+    const anp = anpSupermatrices(st, res);
+    const rows = (M)=> [[""].concat(anp.nodes.map(x => x.name))].concat(M.map((row, i) => [anp.nodes[i].name].concat(row)));
+    sheets.push({ name: "ANP", rows: [["Alternative", "AHP score", "ANP priority"]].concat(st.alternatives.map((name, i) => [name, res.scores[i], anp.alternatives[i]])) });
+    sheets.push({ name: "Unweighted supermatrix", rows: rows(anp.unweighted) });
+    sheets.push({ name: "Weighted supermatrix", rows: rows(anp.weighted) });
+    sheets.push({ name: "Limit supermatrix", rows: rows(anp.limit) });
+  }
+  return sheets;
+}
+
+function csvCell(v){
+  const text = typeof v === "number" ? String(v) : String(v ?? "");
+  return /[",\n\r]/.test(text) ? `"${text.replaceAll('"', '""')}"` : text;
+}
+
+// one file, every sheet as a titled section
+function sheetsToCSV(sheets){
+  return sheets.map(sheet =>
+    [[sheet.name]].concat(sheet.rows).map(row => row.map(csvCell).join(",")).join("\r\n")
+  ).join("\r\n\r\n");
+}
+
+function xmlEscape(text){
+  return String(text)
+    .replaceAll("&", "&amp;")
+    .replaceAll("<", "&lt;")
+    .replaceAll(">", "&gt;")
+    .replaceAll('"', "&quot;");
+}
+
+function columnName(c){
+  let name = "";
+  for(let k=c+1;k>0;k=Math.floor((k - 1) / 26)) name = String.fromCharCode(65 + (k - 1) % 26) + name;
+  return name;
+}
+
+// sheet names: at most 31 characters, no []:*?/\ and unique within the workbook
+function sheetNames(sheets){
+  const used = new Set();
+  return sheets.map(sheet=>{
+    const base = sheet.name.replace(/[[\]:*?/\\]/g, " ").slice(0, 31);
+    let name = base;
+    for(let k=2;used.has(name.toLowerCase());k++) name = `${base.slice(0, 31 - String(k).length - 1)} ${k}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function sheetXML(rows){
+  const body = rows.map((row, r)=>{
+    const cells = row.map((v, c)=>{
+      const ref = `${columnName(c)}${r + 1}`;
+      if(typeof v === "number" && Number.isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+      if(v === "" || v === null || v === undefined) return "";
+      return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlEscape(v)}</t></is></c>`;
+    }).join("");
+    return `<row r="${r + 1}">${cells}</row>`;
+  }).join("");
+  return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+}
+
+function sheetsToXLSX(sheets){
+  const names = sheetNames(sheets);
+  const files = [
+    ["[Content_Types].xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>${sheets.map((_, k)=>`<Override PartName="/xl/worksheets/sheet${k + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join("")}</Types>`],
+    ["_rels/.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>`],
+    ["xl/workbook.xml", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>${names.map((name, k)=>`<sheet name="${xmlEscape(name)}" sheetId="${k + 1}" r:id="rId${k + 1}"/>`).join("")}</sheets></workbook>`],
+    ["xl/_rels/workbook.xml.rels", `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${sheets.map((_, k)=>`<Relationship Id="rId${k + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${k + 1}.xml"/>`).join("")}</Relationships>`]
+  ];
+  sheets.forEach((sheet, k)=> files.push([`xl/worksheets/sheet${k + 1}.xml`, sheetXML(sheet.rows)]));
+  return zipStored(files);
+}
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n)=>{
+  let c = n;
+  for(let k=0;k<8;k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes){
+  let c = 0xFFFFFFFF;
+  for(let i=0;i<bytes.length;i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+  return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+// files: [[path, text]], a zip without compression
+function zipStored(files){
+  const enc = new TextEncoder();
+  const parts = [];
+  const central = [];
+  let offset = 0;
+  const now = new Date();
+  const time = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+  const date = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+  files.forEach(([path, text])=>{
+    const name = enc.encode(path);
+    const data = enc.encode(text);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true);
+    local.setUint16(8, 0, true);
+    local.setUint16(10, time, true);
+    local.setUint16(12, date, true);
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, name.length, true);
+    local.setUint16(28, 0, true);
+    parts.push(local, name, data);
+
+    const entry = new DataView(new ArrayBuffer(46));
+    entry.setUint32(0, 0x02014b50, true);
+    entry.setUint16(4, 20, true);
+    entry.setUint16(6, 20, true);
+    entry.setUint16(8, 0x0800, true);
+    entry.setUint16(10, 0, true);
+    entry.setUint16(12, time, true);
+    entry.setUint16(14, date, true);
+    entry.setUint32(16, crc, true);
+    entry.setUint32(20, data.length, true);
+    entry.setUint32(24, data.length, true);
+    entry.setUint16(28, name.length, true);
+    entry.setUint32(42, offset, true);
+    central.push(entry, name);
+
+    offset += 30 + name.length + data.length;
+  });
+
+  const size = central.reduce((a, p) => a + p.byteLength, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, 0x06054b50, true);
+  end.setUint16(8, files.length, true);
+  end.setUint16(10, files.length, true);
+  end.setUint32(12, size, true);
+  end.setUint32(16, offset, true);
+  return new Blob(parts.concat(central, [end]), { type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet" });
+}
+
+function exportFileName(st, ext){
+  const base = (st.problem.name || "ahp").replace(/[^a-z0-9_-]+/gi, "_");
+  return `${base}.${ext}`;
+}
+
+// report: one self-contained HTML document, charts embedded as images, ready to print to PDF
+const REPORT_CSS = `
+  body{ font: 13px/1.45 system-ui, sans-serif; color:#0f172a; margin: 32px auto; max-width: 900px; padding: 0 24px; }
+  h1{ font-size: 26px; margin: 0 0 4px; }
+  h2{ font-size: 18px; margin: 28px 0 10px; border-bottom: 1px solid #e6e8ef; padding-bottom: 4px; }
+  h3{ font-size: 14px; margin: 18px 0 6px; }
+  .muted{ color:#64748b; }
+  .small{ font-size: 11px; }
+  .badge.good{ color:#16a34a; }
+  .badge.mid{ color:#b45309; }
+  .badge.warn{ color:#dc2626; }
+  table{ border-collapse: collapse; width: 100%; margin: 6px 0 10px; }
+  th, td{ border: 1px solid #e6e8ef; padding: 4px 8px; text-align: left; }
+  th{ background:#f5f7fb; }
+  img{ max-width: 100%; }
+  .block{ break-inside: avoid; page-break-inside: avoid; }
+  .pageBreak{ break-before: page; page-break-before: always; }
+  .toolbar{ position: sticky; top: 0; background: #fff; padding: 8px 0; margin-bottom: 10px; }
+  @media print{
+    body{ margin: 0; max-width: none; }
+    .toolbar{ display: none; }
+  }
+`;
+
+// draws on a detached canvas in the page and returns it as a PNG data URL
+function chartImage(width, height, draw){
+  const holder = document.createElement("div");
+  holder.style.position = "absolute";
+  holder.style.left = "-10000px";
+  const c = document.createElement("canvas");
+  c.id = "reportCanvas";
+  c.width = width;
+  c.height = height;
+  holder.appendChild(c);
+  document.body.appendChild(holder);
+  draw("reportCanvas");
+  const url = c.toDataURL("image/png");
+  holder.remove();
+  return url || "";
+}
+
+function consistencyMethodText(cfg){
+  if(cfg.index === "gci"){
+    return `Geometric consistency index GCI = 2 / ((n − 1)(n − 2)) Σ ln²(a<sub>ij</sub> w<sub>j</sub> / w<sub>i</sub>) with geometric mean weights; acceptable up to ${cfg.gci[0].toFixed(2)} for n = 3, ${cfg.gci[1].toFixed(2)} for n = 4 and ${cfg.gci[2].toFixed(2)} for larger matrices.`;
+  }
+  if(cfg.index === "koczkodaj"){
+    return `Koczkodaj's inconsistency index, the worst triad min(|1 − a<sub>ik</sub> / (a<sub>ij</sub> a<sub>jk</sub>)|, |1 − a<sub>ij</sub> a<sub>jk</sub> / a<sub>ik</sub>|); acceptable up to ${cfg.koczkodaj.toFixed(2)}.`;
+  }
+  return `Consistency ratio CR = CI / RI with CI = (λmax − n) / (n − 1), from the principal eigenvalue, RI from Saaty's table up to n = 15; CR up to ${cfg.cr.toFixed(2)} is acceptable.`;
 }
 
-// pages
-function renderSetupPage(st){
-  const view = document.getElementById("view");
-  if(!view) return;
+function reportMethodsHTML(st){
+  const scale = scaleValues(st);
+  const items = [
+    st.fuzzy.enabled
+      ? `Fuzzy AHP, ${escapeHtml(FUZZY_METHODS[st.fuzzy.method])}, triangular numbers from the neighbouring intensities of each judgment.`
+      : `Priorities derived with the ${escapeHtml(PRIORITY_METHODS[st.method].label.toLowerCase())} method.`,
+    `Judgment scale: ${escapeHtml(JUDGMENT_SCALES[st.scale.type].label)}, ${escapeHtml(scaleBadgeText(scale))}.`,
+    consistencyMethodText(st.consistency),
+    "Matrices with unanswered comparisons are solved from the answered ones (Harker's method for the eigenvector).",
+    "Global weights multiply local weights down the hierarchy; scores add the global weight of each leaf criterion times the local priority of the alternative.",
+    ratingsOn(st)
+      ? "Alternatives rated on intensity grades per criterion; grade priorities come from a pairwise matrix and are idealized (divided by the best grade), an alternative takes the idealized priority of its grade."
+      : `${escapeHtml(SYNTHESIS_MODES[st.synthesis])} synthesis${st.synthesis === "ideal" ? ", local priorities divided by the best alternative under each criterion" : ""}.`
+  ];
+  if(anpOn(st)){
+    items.push(`Network (ANP) with ${st.anp.links.length} dependencies; the weighted supermatrix scales each cluster block by the cluster weights, ANP priorities come from the goal column of the limit supermatrix.`);
+  }
+  if(st.participants.length){
+    items.push(`${st.participants.length} participants, ${escapeHtml(AGGREGATION_MODES[st.aggregation.mode].toLowerCase())}${st.aggregation.mode === "priorities" ? `, ${escapeHtml(AGGREGATION_MEANS[st.aggregation.mean].toLowerCase())}` : ""}. Matrices shown are the weighted geometric mean of the judgments.`);
+  }
+  return `<ul>${items.map(x => `<li>${x}</li>`).join("")}</ul>`;
+}
 
-  view.innerHTML = `
-    <div class="row">
-      <div>
-        <div class="panelTitle">Problem</div>
-        <label class="small muted">Name</label>
-        <input id="p_name" type="text" value="${escapeHtml(st.problem.name)}" />
-        <div style="height:10px"></div>
-        <label class="small muted">Goal</label>
-        <input id="p_goal" type="text" value="${escapeHtml(st.problem.goal)}" />
+function reportHTML(st){
+  const res = computeResults(st);
+  const rated = ratingsOn(st);
+  const matrices = judgmentMatrices(st, groupJudgments(st)).concat(rated ? gradeMatrices(st) : []);
+  const solveOf = (m)=>{
+    const r = m.kind === "group" ? (m.id === null ? res.critSolve : res.groupSolves[m.id]) : res.altSolves[res.leaves.findIndex(leaf => leaf.id === m.id)];
+    return m.kind === "grade" ? { ...r, weights: r.grades } : r;
+  };
+  const matrixTitle = { group: "Criteria comparisons", alt: "Alternatives by criterion", grade: "Grades" };
+
+  const critImg = chartImage(900, 320, id => drawBarChart(id, "Criteria weights", res.leaves.map((c, i)=>({ name: c.name, value: res.leafWeights[i] }))));
+  const scoreImg = chartImage(900, 320, id => drawBarChart(id, "Final scores", st.alternatives.map((a, i)=>({ name: a, value: res.scores[i] }))));
+  const contribImg = chartImage(900, Math.max(200, 110 + st.alternatives.length * 44), id => drawContributions(id, st, res));
+
+  const matrixBlocks = matrices.map(m=>{
+    const r = solveOf(m);
+    const comp = matrixCompletion(m.A);
+    const img = chartImage(900, 560, id => drawMatrixHeatmap(id, m.labels, m.A));
+    return `
+      <div class="block">
+        <h3>${escapeHtml(`${matrixTitle[m.kind]}, ${m.title}`)}</h3>
+        ${img ? `<img src="${img}" alt="" />` : ""}
+        <table>
+          <thead><tr><th>Element</th><th>Local weight</th></tr></thead>
+          <tbody>${m.labels.map((label, i)=>`<tr><td>${escapeHtml(label)}</td><td>${r.weights[i].toFixed(4)}</td></tr>`).join("")}</tbody>
+        </table>
+        <div class="muted">λmax ${r.lambdaMax.toFixed(4)}, CI ${r.ci.toFixed(4)}, CR ${r.cr.toFixed(4)}, GCI ${r.gci.toFixed(4)}, K ${r.koczkodaj.toFixed(4)} (${escapeHtml(crMessage(r, st.consistency).title)} by ${escapeHtml(CONSISTENCY_INDICES[st.consistency.index].short)}), ${comp.answered} of ${comp.total} comparisons answered.</div>
       </div>
+    `;
+  }).join("");
+
+  return `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8" />
+<title>${escapeHtml(st.problem.name)}, AHP report</title>
+<style>${REPORT_CSS}</style>
+</head>
+<body>
+  <div class="toolbar"><button type="button" onclick="window.print()">Print or save as PDF</button></div>
+
+  <h1>${escapeHtml(st.problem.name)}</h1>
+  <div class="muted">${escapeHtml(st.problem.goal)}</div>
+  <div class="muted">Report of ${escapeHtml(new Date().toLocaleString())}</div>
+
+  <h2>Result</h2>
+  <div class="block">
+    <p>Best alternative: <b>${escapeHtml(res.ranking[0].name)}</b>, score ${res.ranking[0].score.toFixed(4)}.</p>
+    ${rankingTable(res.ranking)}
+  </div>
+  <div class="block">
+    ${critImg ? `<img src="${critImg}" alt="" />` : ""}
+    ${scoreImg ? `<img src="${scoreImg}" alt="" />` : ""}
+  </div>
+  <div class="block">
+    <h3>Synthesis</h3>
+    ${synthesisTable(st, res)}
+    ${contribImg ? `<img src="${contribImg}" alt="" />` : ""}
+  </div>
+
+  <h2>Hierarchy</h2>
+  <div class="block">
+    <p>Goal: ${escapeHtml(st.problem.goal)}. Alternatives: ${st.alternatives.map(escapeHtml).join(", ")}.</p>
+    ${hierarchyTable(st, res)}
+  </div>
+
+  <h2>Methods</h2>
+  <div class="block">${reportMethodsHTML(st)}</div>
+
+  ${anpOn(st) ? `
+  <h2>Network (ANP)</h2>
+  <div class="block">${anpCompareTable(st, res, anpSupermatrices(st, res))}</div>
+  ` : ""}
+
+  ${rated ? `
+  <h2>Ratings</h2>
+  <div class="block">${ratingsTable(st)}</div>
+  ` : ""}
+
+  <h2 class="pageBreak">Pairwise comparisons</h2>
+  ${matrixBlocks}
+</body>
+</html>`;
+}
 
-      <div>
-        <div class="panelTitle">Scale</div>
-        <div class="badge">1 equal, 3 moderate, 5 strong, 7 major, 9 extreme</div>
-        <div style="height:12px"></div>
-        <div class="small muted">Fill criteria and alternatives, then go to matrices.</div>
-      </div>
-    </div>
+function openReport(st){
+  const blob = new Blob([reportHTML(st)], { type: "text/html" });
+  const url = URL.createObjectURL(blob);
+  // blocked pop-ups get the file instead
+  if(!window.open(url, "_blank")) downloadBlob(blob, exportFileName(st, "html"));
+  setTimeout(()=> URL.revokeObjectURL(url), 60000);
+}
 
-    <div class="divider"></div>
+// history: undo and redo steps are whole saved states, stored with the project so they
+// survive page navigation; view settings alone do not make a step
+const HISTORY_LIMIT = 50;
+const HISTORY_WRITE_DELAY = 1000;
+const VIEW_FIELDS = ["activeCritIdx", "activeGroupId", "activeParticipant", "activeLink", "wizard"];
+let lastHistoryField = null;
+let historyTimer = null;
 
-    <div class="row">
-      <div>
-        <div class="panelTitle">Criteria</div>
-        <div id="crit_list"></div>
-        <button type="button" class="btn inline" id="crit_add">Add criterion</button>
-      </div>
+function readHistory(){
+  return library ? library.history : { undo: [], redo: [] };
+}
 
-      <div>
-        <div class="panelTitle">Alternatives</div>
-        <div id="alt_list"></div>
-        <button type="button" class="btn inline" id="alt_add">Add alternative</button>
-      </div>
-    </div>
-  `;
+// every keystroke saves, so the stack is written once the edits pause, or when the page is left
+function writeHistory(h){
+  h.undo = h.undo.slice(-HISTORY_LIMIT);
+  library.history = h;
+  clearTimeout(historyTimer);
+  historyTimer = setTimeout(flushHistory, HISTORY_WRITE_DELAY);
+  updateHistoryButtons(h);
+}
 
-  document.getElementById("p_name").addEventListener("input", e=>{ st.problem.name = e.target.value; saveState(st); });
-  document.getElementById("p_goal").addEventListener("input", e=>{ st.problem.goal = e.target.value; saveState(st); });
+function flushHistory(){
+  if(historyTimer === null) return;
+  clearTimeout(historyTimer);
+  historyTimer = null;
+  const h = library.history;
+  writeStores([["history", "put", { id: library.project.id, undo: h.undo, redo: h.redo }]]);
+}
 
-  renderEditableList("crit_list", st.criteria, (arr)=>{
-    st.criteria = arr;
-    st.activeCritIdx = 0;
-    initMatrices(st);
-    saveState(st);
-    renderSetupPage(st);
-    setStatus(st);
-  }, 2);
+function modelJSON(json){
+  const obj = JSON.parse(json);
+  VIEW_FIELDS.forEach(k=>{ delete obj[k]; });
+  return JSON.stringify(obj);
+}
 
-  renderEditableList("alt_list", st.alternatives, (arr)=>{
-    st.alternatives = arr;
-    initMatrices(st);
-    saveState(st);
-    renderSetupPage(st);
-    setStatus(st);
-  }, 2);
+function recordHistory(prev, next){
+  if(modelJSON(prev) === modelJSON(next)) return;
+  const h = readHistory();
+  // typing in the same text field makes a single step
+  const el = document.activeElement;
+  const field = el && el.tagName === "INPUT" && el.type === "text" ? el : null;
+  if(!h.undo.length || !field || field !== lastHistoryField) h.undo.push(prev);
+  lastHistoryField = field;
+  h.redo = [];
+  writeHistory(h);
+}
 
-  document.getElementById("crit_add").addEventListener("click", ()=>{
-    st.criteria.push(`C${st.criteria.length + 1}`);
-    initMatrices(st);
-    saveState(st);
-    renderSetupPage(st);
-    setStatus(st);
-  });
+// swaps the contents of st so every bound handler sees the restored model
+function replaceState(st, json){
+  storeProjectState(json);
+  const next = loadState();
+  Object.keys(st).forEach(k=>{ delete st[k]; });
+  Object.assign(st, next);
+  renderPage(st);
+  setStatus(st);
+}
 
-  document.getElementById("alt_add").addEventListener("click", ()=>{
-    st.alternatives.push(`A${st.alternatives.length + 1}`);
-    initMatrices(st);
-    saveState(st);
-    renderSetupPage(st);
-    setStatus(st);
-  });
+function undoStep(st, from, to){
+  const h = readHistory();
+  if(!h[from].length) return;
+  const json = h[from].pop();
+  h[to].push(library.state);
+  lastHistoryField = null;
+  writeHistory(h);
+  replaceState(st, json);
 }
 
-function renderMatricesPage(st){
-  const view = document.getElementById("view");
-  if(!view) return;
+function updateHistoryButtons(h=readHistory()){
+  const undo = document.getElementById("btnUndo");
+  const redo = document.getElementById("btnRedo");
+  if(undo) undo.disabled = !h.undo.length;
+  if(redo) redo.disabled = !h.redo.length;
+}
 
-  const critSolve = ahpSolve(st.criteriaMatrix);
+let historyKeys = null;
+
+function wireHistory(st){
+  const undo = document.getElementById("btnUndo");
+  const redo = document.getElementById("btnRedo");
+  if(undo) undo.addEventListener("click", ()=> undoStep(st, "undo", "redo"));
+  if(redo) redo.addEventListener("click", ()=> undoStep(st, "redo", "undo"));
+  updateHistoryButtons();
+  window.addEventListener("pagehide", flushHistory);
+
+  // text fields keep their own undo
+  if(historyKeys) document.removeEventListener("keydown", historyKeys);
+  historyKeys = (e)=>{
+    if(!(e.ctrlKey || e.metaKey) || e.altKey) return;
+    const tag = e.target && e.target.tagName;
+    if(tag === "INPUT" && e.target.type === "text" || tag === "TEXTAREA") return;
+    const key = e.key.toLowerCase();
+    if(key === "z" && !e.shiftKey){
+      e.preventDefault();
+      undoStep(st, "undo", "redo");
+    }else if(key === "y" || key === "z" && e.shiftKey){
+      e.preventDefault();
+      undoStep(st, "redo", "undo");
+    }
+  };
+  document.addEventListener("keydown", historyKeys);
+}
 
-  let activeIdx = st.activeCritIdx ?? 0;
-  if(activeIdx < 0 || activeIdx >= st.criteria.length) activeIdx = 0;
-  st.activeCritIdx = activeIdx;
+// snapshots: named copies of the model, restored through saveState so undo brings back the model they replaced
+function readSnapshots(){
+  if(!library || !Array.isArray(library.snapshots)) return [];
+  return library.snapshots.filter(x => x && typeof x.name === "string" && typeof x.state === "string");
+}
 
-  const altMat = st.altMatrices[activeIdx];
-  const altSolve = ahpSolve(altMat);
+function writeSnapshots(list){
+  library.snapshots = list;
+  writeStores([["snapshots", "put", { id: library.project.id, list }]]);
+}
 
-  view.innerHTML = `
-    <div class="panelTitle">Criteria comparisons</div>
-    <div class="small muted">${crBadge(critSolve.cr)}</div>
-    <div style="height:10px"></div>
+function takeSnapshot(st, name){
+  const list = readSnapshots();
+  list.push({ name, savedAt: new Date().toISOString(), state: JSON.stringify(st) });
+  writeSnapshots(list);
+}
 
-    <div class="matrixLayout">
-      <div id="critPairs"></div>
-      <div>
-        ${matrixHeatmap("hm_crit", "Criteria matrix")}
-        <div style="display:flex; gap:10px; margin-top:10px;">
-          <button type="button" class="btn inline" id="crit_reset">Reset criteria</button>
-        </div>
-      </div>
-    </div>
+function restoreSnapshot(st, snap){
+  const next = parseState(snap.state);
+  if(!next) return false;
+  VIEW_FIELDS.forEach(k=>{ next[k] = st[k]; });
+  saveState(next);
+  replaceState(st, JSON.stringify(next));
+  return true;
+}
 
-    <div class="divider"></div>
+// side by side scores and global criteria weights, matched by name
+function snapshotCompareTable(a, b){
+  const names = (list)=> list.filter((x, i) => list.indexOf(x) === i);
+  const cell = (side, name)=>{
+    const i = side.st.alternatives.indexOf(name);
+    if(i < 0) return { text: "–", rank: 0 };
+    const rank = side.res.ranking.findIndex(x => x.name === name) + 1;
+    return { text: `${side.res.scores[i].toFixed(4)} (#${rank})`, rank };
+  };
 
-    <div class="panelTitle">Alternatives by criterion</div>
-    <div class="tabs" id="critTabs"></div>
-    <div class="small muted">${crBadge(altSolve.cr)}</div>
-    <div style="height:10px"></div>
+  let html = `<table><thead><tr><th>Alternative</th><th>${escapeHtml(a.label)}</th><th>${escapeHtml(b.label)}</th></tr></thead><tbody>`;
+  names(a.st.alternatives.concat(b.st.alternatives)).forEach(name=>{
+    const x = cell(a, name);
+    const y = cell(b, name);
+    const cls = x.rank !== y.rank ? " class=\"changed\"" : "";
+    html += `<tr><td>${escapeHtml(name)}</td><td>${x.text}</td><td${cls}>${y.text}</td></tr>`;
+  });
+  html += `</tbody></table>`;
 
-    <div class="matrixLayout">
-      <div id="altPairs"></div>
-      <div>
-        ${matrixHeatmap("hm_alt", "Alternatives matrix")}
-        <div style="display:flex; gap:10px; margin-top:10px;">
-          <button type="button" class="btn inline" id="alt_reset">Reset this matrix</button>
-        </div>
-      </div>
+  const weights = (side)=>{
+    const out = {};
+    side.res.leaves.forEach((leaf, k)=>{ out[critPath(side.st, leaf.id)] = side.res.leafWeights[k]; });
+    return out;
+  };
+  const wa = weights(a);
+  const wb = weights(b);
+  html += `<div style="height:10px"></div>`;
+  html += `<table><thead><tr><th>Criterion</th><th>${escapeHtml(a.label)}</th><th>${escapeHtml(b.label)}</th></tr></thead><tbody>`;
+  names(Object.keys(wa).concat(Object.keys(wb))).forEach(path=>{
+    const fmt = (v)=> v === undefined ? "–" : v.toFixed(4);
+    html += `<tr><td>${escapeHtml(path)}</td><td>${fmt(wa[path])}</td><td>${fmt(wb[path])}</td></tr>`;
+  });
+  html += `</tbody></table>`;
+  return html;
+}
+
+function snapshotsHTML(){
+  const list = readSnapshots();
+  const options = (selected)=> [`<option value="current"${selected === "current" ? " selected" : ""}>Current model</option>`]
+    .concat(list.map((snap, k)=>`<option value="${k}"${selected === String(k) ? " selected" : ""}>${escapeHtml(snap.name)}</option>`))
+    .join("");
+  return `
+    <div class="kv">
+      <input id="snap_name" type="text" placeholder="Snapshot name, e.g. before workshop" />
+      <button type="button" class="btn inline" id="snap_save">Save snapshot</button>
     </div>
+    ${list.length ? `
+      <div style="height:10px"></div>
+      <table><thead><tr><th>Snapshot</th><th>Saved</th><th></th></tr></thead><tbody>
+        ${list.map((snap, k)=>`
+          <tr>
+            <td>${escapeHtml(snap.name)}</td>
+            <td>${escapeHtml(new Date(snap.savedAt).toLocaleString())}</td>
+            <td style="text-align:right">
+              <button type="button" class="btn inline snapRestore" data-k="${k}">Restore</button>
+              <button type="button" class="btn inline snapDelete" data-k="${k}">Delete</button>
+            </td>
+          </tr>
+        `).join("")}
+      </tbody></table>
+      <div style="height:10px"></div>
+      <div class="kv">
+        <select id="snap_a">${options("current")}</select>
+        <select id="snap_b">${options("0")}</select>
+      </div>
+      <div style="height:10px"></div>
+      <div id="snapCompare"></div>
+    ` : `<div style="height:8px"></div><div class="small muted">No snapshots yet.</div>`}
   `;
+}
 
-  const critPairsEl = document.getElementById("critPairs");
-  critPairsEl.innerHTML = pairwiseHTML(st.criteria, st.criteriaMatrix);
-  bindPairwise(critPairsEl, st.criteriaMatrix, (B)=>{
-    st.criteriaMatrix = B;
-    saveState(st);
-    renderMatricesPage(st);
-    setStatus(st);
-  });
+function bindSnapshots(rootEl, st){
+  const rerender = ()=>{
+    rootEl.innerHTML = snapshotsHTML();
+    bindSnapshots(rootEl, st);
+  };
 
-  const altPairsEl = document.getElementById("altPairs");
-  altPairsEl.innerHTML = pairwiseHTML(st.alternatives, altMat);
-  bindPairwise(altPairsEl, altMat, (B)=>{
-    st.altMatrices[activeIdx] = B;
-    saveState(st);
-    renderMatricesPage(st);
-    setStatus(st);
+  document.getElementById("snap_save").addEventListener("click", ()=>{
+    const name = document.getElementById("snap_name").value.trim() || `Snapshot ${readSnapshots().length + 1}`;
+    takeSnapshot(st, name);
+    rerender();
   });
 
-  const tabs = document.getElementById("critTabs");
-  tabs.innerHTML = "";
-  st.criteria.forEach((c, i)=>{
-    const b = document.createElement("button");
-    b.type = "button";
-    b.className = "tabBtn" + (i === activeIdx ? " active" : "");
-    b.textContent = c;
-    b.addEventListener("click", ()=>{
-      st.activeCritIdx = i;
-      saveState(st);
-      renderMatricesPage(st);
-      setStatus(st);
+  rootEl.querySelectorAll(".snapDelete").forEach(btn=>{
+    btn.addEventListener("click", ()=>{
+      const list = readSnapshots();
+      const snap = list[Number(btn.dataset.k)];
+      if(!confirm(`Delete snapshot "${snap.name}"?`)) return;
+      list.splice(Number(btn.dataset.k), 1);
+      writeSnapshots(list);
+      rerender();
     });
-    tabs.appendChild(b);
-  });
-
-  document.getElementById("crit_reset").addEventListener("click", ()=>{
-    st.criteriaMatrix = identityMatrix(st.criteria.length);
-    saveState(st);
-    renderMatricesPage(st);
-    setStatus(st);
   });
 
-  document.getElementById("alt_reset").addEventListener("click", ()=>{
-    st.altMatrices[activeIdx] = identityMatrix(st.alternatives.length);
-    saveState(st);
-    renderMatricesPage(st);
-    setStatus(st);
+  rootEl.querySelectorAll(".snapRestore").forEach(btn=>{
+    btn.addEventListener("click", ()=>{
+      const snap = readSnapshots()[Number(btn.dataset.k)];
+      if(!confirm(`Restore "${snap.name}"? Undo brings back the current model.`)) return;
+      if(!restoreSnapshot(st, snap)) alert("This snapshot cannot be read.");
+    });
   });
 
-  setTimeout(()=>{
-    drawMatrixHeatmap("hm_crit", st.criteria, st.criteriaMatrix);
-    drawMatrixHeatmap("hm_alt", st.alternatives, st.altMatrices[activeIdx]);
-  }, 0);
+  const selA = document.getElementById("snap_a");
+  const selB = document.getElementById("snap_b");
+  if(!selA) return;
+  const side = (value)=>{
+    if(value === "current") return { label: "Current model", st, res: computeResults(st) };
+    const snap = readSnapshots()[Number(value)];
+    const other = parseState(snap.state);
+    return other ? { label: snap.name, st: other, res: computeResults(other) } : null;
+  };
+  const update = ()=>{
+    const a = side(selA.value);
+    const b = side(selB.value);
+    document.getElementById("snapCompare").innerHTML = a && b ? snapshotCompareTable(a, b) : `<div class="small muted">This snapshot cannot be read.</div>`;
+  };
+  selA.addEventListener("change", update);
+  selB.addEventListener("change", update);
+  update();
 }
 
+// project library
+function openProject(id){
+  localStorage.setItem(ACTIVE_PROJECT_KEY, id);
+  whenSaved().then(()=> location.reload());
+}
 
-function computeResults(st){
-  const crit = ahpSolve(st.criteriaMatrix);
-  const altSolves = st.altMatrices.map(A => ahpSolve(A));
+function createProject(name, state, schema=SCHEMA_VERSION, snapshots=[]){
+  const meta = projectRecord(name, schema);
+  const ops = [
+    ["projects", "put", meta],
+    ["states", "put", { id: meta.id, state }]
+  ];
+  if(snapshots.length) ops.push(["snapshots", "put", { id: meta.id, list: snapshots }]);
+  writeStores(ops);
+  return meta;
+}
 
-  const m = st.alternatives.length;
-  const n = st.criteria.length;
+function renderProjects(st){
+  const root = document.getElementById("projects");
+  if(!root || !library || !library.project) return;
+  const cur = library.project;
+
+  root.innerHTML = `
+    <select id="proj_sel">
+      ${library.projects.map(p=>`<option value="${p.id}"${p === cur ? " selected" : ""}>${escapeHtml(p.name)}, ${escapeHtml(new Date(p.modified).toLocaleDateString())}</option>`).join("")}
+    </select>
+    <div class="small muted" id="proj_modified" style="margin:6px 0 8px;">Last modified ${escapeHtml(new Date(cur.modified).toLocaleString())}</div>
+    <div class="projActions">
+      <button type="button" class="btn inline" id="proj_new">New</button>
+      <button type="button" class="btn inline" id="proj_dup">Duplicate</button>
+      <button type="button" class="btn inline" id="proj_ren">Rename</button>
+      <button type="button" class="btn inline" id="proj_del">Delete</button>
+    </div>
+  `;
 
-  const scores = Array(m).fill(0);
-  for(let i=0;i<m;i++){
-    let s = 0;
-    for(let j=0;j<n;j++) s += crit.weights[j] * altSolves[j].weights[i];
-    scores[i] = s;
-  }
+  document.getElementById("proj_sel").addEventListener("change", e=> openProject(e.target.value));
 
-  const ranking = st.alternatives
-    .map((name,i)=>({ name, score: scores[i] }))
-    .sort((a,b)=>b.score-a.score);
+  document.getElementById("proj_new").addEventListener("click", ()=>{
+    const name = prompt("Name of the new project", `Project ${library.projects.length + 1}`);
+    if(name === null) return;
+    const fresh = defaultState();
+    if(name.trim()) fresh.problem.name = name.trim();
+    openProject(createProject(name.trim() || fresh.problem.name, JSON.stringify(fresh)).id);
+  });
 
-  return { critWeights: crit.weights, critCR: crit.cr, scores, ranking };
-}
+  document.getElementById("proj_dup").addEventListener("click", ()=>{
+    const state = library.error ? library.raw : library.state;
+    if(state === null) return;
+    const schema = library.error ? cur.schema : SCHEMA_VERSION;
+    openProject(createProject(`${cur.name} copy`, state, schema, readSnapshots()).id);
+  });
 
-function weightsTable(labels, weights){
-  return `
-    <table>
-      <thead><tr><th>Item</th><th>Weight</th></tr></thead>
-      <tbody>
-        ${labels.map((x,i)=>`<tr><td>${escapeHtml(x)}</td><td>${Number(weights[i]).toFixed(6)}</td></tr>`).join("")}
-      </tbody>
-    </table>
-  `;
-}
+  document.getElementById("proj_ren").addEventListener("click", ()=>{
+    const name = prompt("Project name", cur.name);
+    if(name === null || !name.trim()) return;
+    cur.name = name.trim();
+    writeStores([["projects", "put", cur]]);
+    renderProjects(st);
+  });
 
-function rankingTable(items){
-  let html = `<table><thead><tr><th>Alternative</th><th>Score</th></tr></thead><tbody>`;
-  items.forEach(x=>{
-    html += `<tr><td>${escapeHtml(x.name)}</td><td>${x.score.toFixed(6)}</td></tr>`;
+  document.getElementById("proj_del").addEventListener("click", ()=>{
+    if(!confirm(`Delete project "${cur.name}" with its history and snapshots? This cannot be undone.`)) return;
+    // a pending history write must not bring the record back
+    flushHistory();
+    writeStores(DB_STORES.map(name => [name, "delete", cur.id]));
+    const rest = library.projects.filter(p => p !== cur);
+    const next = rest.length ? rest[0] : createProject("Project 1", JSON.stringify(defaultState()));
+    openProject(next.id);
   });
-  html += `</tbody></table>`;
-  return html;
 }
 
-function renderResultsPage(st){
+// the stored model is left untouched until the user decides what to do with it
+function renderStorageError(){
   const view = document.getElementById("view");
   if(!view) return;
-
-  const res = computeResults(st);
-  const best = res.ranking[0];
-
   view.innerHTML = `
-    <div class="row">
-      <div>
-        <div class="panelTitle">Key results</div>
-        <div style="font-size:18px; font-weight:700; margin-top:6px">${escapeHtml(best.name)}</div>
-        <div class="small muted">Score ${best.score.toFixed(4)}</div>
-        <div style="height:10px"></div>
-        ${crBadge(res.critCR)}
-        <div class="divider"></div>
-        <div class="panelTitle">Ranking</div>
-        ${rankingTable(res.ranking)}
-      </div>
-
-      <div>
-        <div class="panelTitle">Charts</div>
-        <canvas class="chart" id="chartCrit" width="900" height="320"></canvas>
-        <div style="height:12px"></div>
-        <canvas class="chart" id="chartScore" width="900" height="320"></canvas>
-      </div>
-    </div>
-
-    <div class="divider"></div>
-
-    <div class="panelTitle">Criteria weights</div>
-    ${weightsTable(st.criteria, res.critWeights)}
+    <div class="panelTitle">This project could not be opened</div>
+    <div class="badge warn">${escapeHtml(library.error)}</div>
+    <div style="height:10px"></div>
+    <div class="small muted">Nothing is saved over it. Download the stored data to keep it, or switch to, duplicate or delete the project in the sidebar.</div>
+    <div style="height:10px"></div>
+    ${library.raw !== null && library.raw !== undefined ? `<button type="button" class="btn inline" id="proj_raw">Download stored data</button>` : ""}
   `;
-
-  const critRows = st.criteria.map((c, i)=>({ name: c, value: res.critWeights[i] }));
-  const scoreRows = st.alternatives.map((a, i)=>({ name: a, value: res.scores[i] }));
-
-  setTimeout(()=>{
-    drawBarChart("chartCrit", "Criteria weights", critRows);
-    drawBarChart("chartScore", "Final scores", scoreRows);
-  }, 0);
+  const raw = document.getElementById("proj_raw");
+  if(raw){
+    raw.addEventListener("click", ()=>{
+      downloadBlob(new Blob([library.raw], { type: "application/json" }), "ahp_project_data.json");
+    });
+  }
 }
 
 // nav buttons
@@ -734,17 +5814,38 @@ function wireNavButtons(st){
     prevBtn.addEventListener("click", ()=>{
       saveState(st);
       const page = document.body.dataset.page;
-      if(page === "matrices") location.href = "index.html";
-      if(page === "results") location.href = "matrices.html";
+      whenSaved().then(()=>{
+        if(page === "matrices") location.href = "index.html";
+        if(page === "results") location.href = "matrices.html";
+      });
     });
   }
 
-  if(nextBtn){
+  // leaving the matrices for the results waits on the completion panel
+  const gated = document.body.dataset.page === "matrices";
+
+  if(nextBtn && st.respondent){
+    nextBtn.textContent = "Finish";
+    nextBtn.addEventListener("click", ()=>{
+      if(gated && !completionGate(st)) return;
+      finishSurvey(st);
+    });
+  }else if(nextBtn){
     nextBtn.addEventListener("click", ()=>{
+      if(gated && !completionGate(st)) return;
       saveState(st);
       const page = document.body.dataset.page;
-      if(page === "setup") location.href = "matrices.html";
-      if(page === "matrices") location.href = "results.html";
+      whenSaved().then(()=>{
+        if(page === "setup") location.href = "matrices.html";
+        if(page === "matrices") location.href = "results.html";
+      });
+    });
+  }
+
+  const resultsLink = document.querySelector('.navLink[href="results.html"]');
+  if(gated && resultsLink){
+    resultsLink.addEventListener("click", (e)=>{
+      if(!completionGate(st)) e.preventDefault();
     });
   }
 }
@@ -753,47 +5854,133 @@ function wireCommonButtons(st){
   const reset = document.getElementById("btnReset");
   if(reset){
     reset.addEventListener("click", ()=>{
+      if(!confirm("Replace the model with the example? Undo brings it back.")) return;
       const fresh = defaultState();
       saveState(fresh);
-      location.href = "index.html";
+      whenSaved().then(()=>{ location.href = "index.html"; });
     });
   }
 
   const exp = document.getElementById("btnExport");
   if(exp){
     exp.addEventListener("click", ()=>{
-      const out = {
+      downloadJSON({
         problem: st.problem,
         criteria: st.criteria,
         alternatives: st.alternatives,
         criteriaMatrix: st.criteriaMatrix,
-        altMatrices: st.altMatrices
-      };
-      const blob = new Blob([JSON.stringify(out, null, 2)], { type: "application/json" });
-      const url = URL.createObjectURL(blob);
-      const a = document.createElement("a");
-      a.href = url;
-      a.download = "ahp_state.json";
-      document.body.appendChild(a);
-      a.click();
-      a.remove();
-      URL.revokeObjectURL(url);
+        nodeMatrices: st.nodeMatrices,
+        altMatrices: st.altMatrices,
+        participants: st.participants,
+        aggregation: st.aggregation,
+        method: st.method,
+        synthesis: st.synthesis,
+        scale: st.scale,
+        fuzzy: st.fuzzy,
+        consistency: st.consistency,
+        ratings: st.ratings,
+        anp: st.anp,
+        survey: st.survey,
+        schema: SCHEMA_VERSION
+      }, "ahp_state.json");
+    });
+  }
+
+  const csv = document.getElementById("btnCSV");
+  if(csv){
+    csv.addEventListener("click", ()=>{
+      // the byte order mark makes spreadsheet programs read the file as UTF-8
+      downloadBlob(new Blob(["\ufeff" + sheetsToCSV(spreadsheetSheets(st))], { type: "text/csv" }), exportFileName(st, "csv"));
+    });
+  }
+
+  const xlsx = document.getElementById("btnXLSX");
+  if(xlsx){
+    xlsx.addEventListener("click", ()=>{
+      downloadBlob(sheetsToXLSX(spreadsheetSheets(st)), exportFileName(st, "xlsx"));
+    });
+  }
+
+  const imp = document.getElementById("btnImport");
+  if(imp){
+    imp.addEventListener("click", ()=>{
+      const input = document.createElement("input");
+      input.type = "file";
+      input.accept = "application/json,.json";
+      input.addEventListener("change", ()=>{
+        const file = input.files && input.files[0];
+        if(!file) return;
+        readImportFile(file)
+          .then(next=>{
+            saveState(next);
+            return whenSaved().then(()=> location.reload());
+          })
+          .catch(err=>{
+            alert(`Import failed:\n${err.message}`);
+          });
+      });
+      input.click();
     });
   }
 }
 
 function main(){
-  const st = loadState();
-  wireNavButtons(st);
-  wireCommonButtons(st);
+  startSurveyFromUrl();
+  const ready = respondentActive() ? Promise.resolve() : openLibrary();
+  ready.then(start, err=>{
+    library = { error: `storage is not available, ${err.message}`, projects: [] };
+    start();
+  });
+}
+
+// a page restored from the back/forward cache keeps its wired buttons, which hold on to
+// pageState; start then only refreshes that object and renders again
+let pageState = null;
+let pageWired = false;
+
+function start(){
+  const st = pageState || loadState();
+  if(st === pageState){
+    const fresh = loadState();
+    Object.keys(st).forEach(k=>{ delete st[k]; });
+    Object.assign(st, fresh);
+  }
+  pageState = st;
+  const page = document.body.dataset.page;
+
+  // respondents only see the matrices
+  if(st.respondent){
+    if(page !== "matrices"){
+      location.replace("matrices.html");
+      return;
+    }
+    document.body.classList.add("respondent");
+  }else{
+    renderProjects(st);
+  }
+
+  if(library && library.error){
+    renderStorageError();
+    return;
+  }
+
+  if(!pageWired){
+    wireNavButtons(st);
+    wireCommonButtons(st);
+    wireHistory(st);
+    pageWired = true;
+  }
+  updateHistoryButtons();
   setStatus(st);
+  renderPage(st);
+  saveState(st);
+}
 
+function renderPage(st){
   const page = document.body.dataset.page;
   if(page === "setup") renderSetupPage(st);
   if(page === "matrices") renderMatricesPage(st);
   if(page === "results") renderResultsPage(st);
-
-  saveState(st);
 }
 
 if(document.readyState === "loading"){
@@ -801,4 +5988,4 @@ if(document.readyState === "loading"){
 }else{
   main();
 }
-window.addEventListener("pageshow", main);
+window.addEventListener("pageshow", (e)=>{ if(e.persisted) main(); });